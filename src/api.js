@@ -0,0 +1,145 @@
+/**
+ * BambooHR API requests for BambooHR Map
+ * Retries failed requests with backoff, waits out rate limits, and tells
+ * apart why a request failed so the map can say what went wrong
+ */
+
+const BambooApi = (function() {
+  const MAX_RETRIES = 3;
+  const RETRY_BASE_DELAY = 500;
+  const MAX_RETRY_AFTER = 30000;
+  
+  // What the user is told for each kind of failure
+  const ERROR_MESSAGES = {
+    auth: 'Your BambooHR session has expired. Reload the page to log in again.',
+    permission: "You don't have permission to view the employee directory.",
+    api: "BambooHR sent a response the map doesn't understand. The extension may need an update.",
+    server: 'BambooHR is busy or having problems. Try again in a few minutes.',
+    network: "Couldn't reach BambooHR. Check your connection and try again."
+  };
+  
+  /**
+   * Create an error for a failed request
+   * @param {string} kind - 'auth' (not logged in), 'permission', 'api' (unexpected response),
+   *   'server' (rate limited or failing) or 'network' (no response at all)
+   * @param {number} [status] - HTTP status, when there was a response
+   * @returns {Error} - With `kind` and `status`
+   */
+  function createError(kind, status = null) {
+    const error = new Error(ERROR_MESSAGES[kind] || ERROR_MESSAGES.api);
+    error.kind = kind;
+    error.status = status;
+    return error;
+  }
+  
+  /**
+   * Kind of failure for an HTTP error status that's not worth retrying (any more)
+   */
+  function getErrorKind(status) {
+    if (status === 401) return 'auth';
+    if (status === 403) return 'permission';
+    // Still rate limited or failing after the retries
+    if (isRetryable(status)) return 'server';
+    return 'api';
+  }
+  
+  /**
+   * Check whether a status might succeed when asked again
+   */
+  function isRetryable(status) {
+    return status === 429 || status >= 500;
+  }
+  
+  /**
+   * How long to wait before the next attempt: what a rate-limited response
+   * asks for, or an exponential backoff with some jitter
+   * @param {Response|null} response - The failed response; null when the request didn't get one
+   * @param {number} attempt - Attempts made so far, from 0
+   */
+  function getRetryDelay(response, attempt) {
+    const retryAfter = response && response.headers.get('retry-after');
+    if (retryAfter) {
+      // Either seconds or an HTTP date
+      const seconds = Number(retryAfter);
+      const delay = Number.isFinite(seconds) ? seconds * 1000 : Date.parse(retryAfter) - Date.now();
+      if (Number.isFinite(delay)) {
+        return Math.min(Math.max(delay, 0), MAX_RETRY_AFTER);
+      }
+    }
+    return RETRY_BASE_DELAY * 2 ** attempt * (1 + Math.random() / 2);
+  }
+  
+  /**
+   * Wait for a number of milliseconds
+   */
+  function wait(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+  
+  /**
+   * Read a successful response's JSON
+   * Expired sessions get BambooHR's login page instead, as HTML.
+   */
+  async function readJson(response) {
+    const contentType = (response.headers.get('content-type') || '').toLowerCase();
+    if ((response.redirected && /login/i.test(response.url)) || contentType.includes('text/html')) {
+      throw createError('auth', response.status);
+    }
+    
+    try {
+      return await response.json();
+    } catch (error) {
+      throw createError('api', response.status);
+    }
+  }
+  
+  /**
+   * Request JSON from the BambooHR API with the user's session
+   * Network failures, rate limits (429) and server errors are retried.
+   * @param {string} url - API path
+   * @param {Object} [options] - fetch() options
+   * @returns {Promise<Object>} - The parsed response; rejects with an error from createError()
+   */
+  async function fetchJson(url, options = {}) {
+    for (let attempt = 0; ; attempt++) {
+      let response;
+      try {
+        response = await fetch(url, {
+          credentials: 'include',
+          ...options,
+          headers: {
+            'Accept': 'application/json',
+            ...options.headers
+          }
+        });
+      } catch (error) {
+        // Offline, or the connection dropped
+        if (attempt < MAX_RETRIES) {
+          await wait(getRetryDelay(null, attempt));
+          continue;
+        }
+        throw createError('network');
+      }
+      
+      if (response.ok) {
+        return readJson(response);
+      }
+      if (isRetryable(response.status) && attempt < MAX_RETRIES) {
+        await wait(getRetryDelay(response, attempt));
+        continue;
+      }
+      throw createError(getErrorKind(response.status), response.status);
+    }
+  }
+  
+  // Public API
+  return {
+    fetchJson,
+    createError
+  };
+})();
+
+// Export for use in other scripts
+if (typeof window !== 'undefined') {
+  window.BambooApi = BambooApi;
+}
@@ -0,0 +1,141 @@
+/**
+ * Directory cache for BambooHR Map
+ * Keeps the last fetched employees, fields and geocode results per BambooHR
+ * subdomain in chrome.storage.local, so the map can be drawn right away and
+ * refreshed in the background, along with what changed since the load before
+ */
+
+const BambooCache = (function() {
+  const KEY_PREFIX = 'bamboo-map-cache:';
+  const COUNT_KEY_PREFIX = 'bamboo-map-count:';
+  
+  // Bump when the stored shape changes; older entries are ignored
+  const FORMAT_VERSION = 1;
+  
+  /**
+   * Storage key for the current company, e.g. "bamboo-map-cache:acme.bamboohr.com"
+   */
+  function getKey(prefix = KEY_PREFIX) {
+    return `${prefix}${window.location.hostname}`;
+  }
+  
+  /**
+   * Extension version, since geocode results depend on the bundled data
+   */
+  function getExtensionVersion() {
+    try {
+      return chrome.runtime.getManifest().version;
+    } catch {
+      return '';
+    }
+  }
+  
+  /**
+   * Load the cached directory for this company
+   * Entries from another format or extension version are treated as missing.
+   * @returns {Promise<{employees: Array, fields: Array, geocodes: Object, changes: Object, savedAt: number}|null>}
+   */
+  async function load() {
+    try {
+      const key = getKey();
+      const entry = (await chrome.storage.local.get(key))[key];
+      if (!entry || entry.format !== FORMAT_VERSION || entry.extensionVersion !== getExtensionVersion()) {
+        return null;
+      }
+      if (!Array.isArray(entry.employees) || entry.employees.length === 0 || !Number.isFinite(entry.savedAt)) {
+        return null;
+      }
+      return {
+        employees: entry.employees,
+        fields: entry.fields,
+        geocodes: entry.geocodes || null,
+        changes: entry.changes || null,
+        savedAt: entry.savedAt
+      };
+    } catch (error) {
+      // Storage unavailable - fetch as if nothing was cached
+      return null;
+    }
+  }
+  
+  /**
+   * Cache the directory for this company
+   * @param {Object} snapshot - {employees, fields, geocodes, changes}
+   * @returns {Promise<number>} - When it was saved
+   */
+  async function save(snapshot) {
+    const savedAt = Date.now();
+    try {
+      await chrome.storage.local.set({
+        [getKey()]: {
+          format: FORMAT_VERSION,
+          extensionVersion: getExtensionVersion(),
+          savedAt,
+          employees: snapshot.employees,
+          fields: snapshot.fields,
+          geocodes: snapshot.geocodes,
+          changes: snapshot.changes || null
+        }
+      });
+    } catch (error) {
+      // Storage full or unavailable - the next visit fetches everything again
+    }
+    return savedAt;
+  }
+  
+  /**
+   * Replace the changes kept with the cached directory, e.g. once they've been dismissed
+   * @param {Object|null} changes - As returned by BambooChanges.compare()
+   */
+  async function saveChanges(changes) {
+    try {
+      const key = getKey();
+      const entry = (await chrome.storage.local.get(key))[key];
+      if (!entry) return;
+      await chrome.storage.local.set({ [key]: { ...entry, changes } });
+    } catch (error) {
+      // Storage unavailable - the changes show again on the next visit
+    }
+  }
+  
+  /**
+   * How many employees the directory had when it was last loaded
+   * Kept apart from the cache, so it's still known after an extension update
+   * empties the cache and the directory has to be loaded from scratch.
+   * @returns {Promise<number|null>} - null when it was never loaded
+   */
+  async function loadEmployeeCount() {
+    try {
+      const key = getKey(COUNT_KEY_PREFIX);
+      const count = (await chrome.storage.local.get(key))[key];
+      return Number.isInteger(count) && count > 0 ? count : null;
+    } catch (error) {
+      return null;
+    }
+  }
+  
+  /**
+   * Remember how many employees the directory has, for the next load's progress
+   */
+  async function saveEmployeeCount(count) {
+    try {
+      await chrome.storage.local.set({ [getKey(COUNT_KEY_PREFIX)]: count });
+    } catch (error) {
+      // Storage unavailable - progress is shown without a total
+    }
+  }
+  
+  // Public API
+  return {
+    load,
+    save,
+    saveChanges,
+    loadEmployeeCount,
+    saveEmployeeCount
+  };
+})();
+
+// Export for use in other scripts
+if (typeof window !== 'undefined') {
+  window.BambooCache = BambooCache;
+}
@@ -0,0 +1,374 @@
+/**
+ * Directory changes for BambooHR Map
+ * Compares the directory with the one from the previous load to find new
+ * hires, departures and people whose location, department or job title
+ * changed, and lists them in a panel
+ */
+
+const BambooChanges = (function() {
+  // Fields whose changes are reported, in the order they're listed
+  const TRACKED_FIELDS = [
+    { id: 'location', label: 'Location' },
+    { id: 'department', label: 'Department' },
+    { id: 'jobTitle', label: 'Job title' }
+  ];
+  
+  const FILTERS = [
+    { id: 'all', label: 'All' },
+    { id: 'hired', label: 'New hires' },
+    { id: 'departed', label: 'Departures' },
+    ...TRACKED_FIELDS
+  ];
+  
+  let panelElement = null;
+  let anchorElement = null;
+  let isOpen = false;
+  let currentChanges = null;
+  let activeFilter = 'all';
+  let onSelect = null;
+  let onDismiss = null;
+  
+  /**
+   * What's kept of a person for the change list, including people who have left
+   */
+  function toRecord(employee) {
+    const name = employee.displayName || `${employee.firstName || ''} ${employee.lastName || ''}`.trim();
+    return {
+      id: String(employee.id),
+      name,
+      jobTitle: employee.jobTitle || '',
+      department: employee.department || '',
+      location: employee.location || ''
+    };
+  }
+  
+  /**
+   * Compare two loads of the directory
+   * @param {Array} previous - Employees from the previous load
+   * @param {Array} current - Employees from this load
+   * @param {number} since - When the previous load was made
+   * @returns {Object|null} - {since, hired, departed, changed: [{...person, changes: [{field, label, from, to}]}]};
+   *   null when nobody joined, left or changed
+   */
+  function compare(previous, current, since) {
+    const previousById = new Map(previous.map(emp => [String(emp.id), emp]));
+    const currentIds = new Set(current.map(emp => String(emp.id)));
+    
+    const hired = [];
+    const changed = [];
+    current.forEach(emp => {
+      const before = previousById.get(String(emp.id));
+      if (!before) {
+        hired.push(toRecord(emp));
+        return;
+      }
+      
+      const changes = TRACKED_FIELDS
+        .filter(field => (before[field.id] || '') !== (emp[field.id] || ''))
+        .map(field => ({ field: field.id, label: field.label, from: before[field.id] || '', to: emp[field.id] || '' }));
+      if (changes.length > 0) {
+        changed.push({ ...toRecord(emp), changes });
+      }
+    });
+    const departed = previous
+      .filter(emp => !currentIds.has(String(emp.id)))
+      .map(toRecord);
+    
+    if (hired.length === 0 && departed.length === 0 && changed.length === 0) {
+      return null;
+    }
+    return { since, hired, departed, changed };
+  }
+  
+  /**
+   * Check changes read back from storage, dropping anything malformed
+   * @returns {Object|null}
+   */
+  function restore(stored) {
+    if (!stored || typeof stored !== 'object' || !Number.isFinite(stored.since)) return null;
+    
+    const text = value => (typeof value === 'string' ? value : '');
+    const restoreRecord = record => ({
+      id: String(record.id),
+      name: text(record.name),
+      jobTitle: text(record.jobTitle),
+      department: text(record.department),
+      location: text(record.location)
+    });
+    const list = value => (Array.isArray(value) ? value.filter(record => record && typeof record === 'object') : []);
+    const changes = {
+      since: stored.since,
+      hired: list(stored.hired).map(restoreRecord),
+      departed: list(stored.departed).map(restoreRecord),
+      changed: list(stored.changed).map(record => ({
+        ...restoreRecord(record),
+        changes: list(record.changes)
+          .filter(change => TRACKED_FIELDS.some(field => field.id === change.field))
+          .map(change => ({ field: change.field, label: text(change.label), from: text(change.from), to: text(change.to) }))
+      })).filter(record => record.changes.length > 0)
+    };
+    
+    return changes.hired.length + changes.departed.length + changes.changed.length > 0 ? changes : null;
+  }
+  
+  /**
+   * Short summary for the map header, e.g. "2 new · 1 left · 3 changed"
+   */
+  function summarize(changes) {
+    if (!changes) return '';
+    
+    const parts = [];
+    if (changes.hired.length > 0) parts.push(`${changes.hired.length} new`);
+    if (changes.departed.length > 0) parts.push(`${changes.departed.length} left`);
+    if (changes.changed.length > 0) parts.push(`${changes.changed.length} changed`);
+    return parts.join(' · ');
+  }
+  
+  /**
+   * Create the panel element if it doesn't exist
+   */
+  function createPanel() {
+    if (panelElement) return panelElement;
+    
+    panelElement = document.createElement('div');
+    panelElement.className = 'bamboo-changes';
+    panelElement.setAttribute('role', 'dialog');
+    panelElement.setAttribute('aria-labelledby', 'bamboo-changes-title');
+    panelElement.innerHTML = `
+      <div class="bamboo-changes-header">
+        <h3 class="bamboo-changes-title" id="bamboo-changes-title">Changes since last visit</h3>
+        <button class="bamboo-changes-close" aria-label="Close">&times;</button>
+      </div>
+      <p class="bamboo-changes-since"></p>
+      <div class="bamboo-changes-filters" role="group" aria-label="Show changes"></div>
+      <ul class="bamboo-changes-list"></ul>
+      <div class="bamboo-changes-footer">
+        <button class="bamboo-changes-dismiss" title="Hide these changes until the directory changes again">Dismiss</button>
+      </div>
+    `;
+    
+    panelElement.querySelector('.bamboo-changes-close').addEventListener('click', close);
+    panelElement.querySelector('.bamboo-changes-dismiss').addEventListener('click', () => {
+      close();
+      if (onDismiss) onDismiss();
+    });
+    
+    // Close on click outside (clicks on the anchor toggle it themselves)
+    document.addEventListener('click', (e) => {
+      if (isOpen && !e.composedPath().includes(panelElement) && !(anchorElement && anchorElement.contains(e.target))) {
+        close();
+      }
+    });
+    
+    // Close on escape key
+    document.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape' && isOpen) {
+        close();
+      }
+    });
+    
+    document.body.appendChild(panelElement);
+    return panelElement;
+  }
+  
+  /**
+   * The changes as list entries, each {type: 'hired' | 'departed' | 'changed', person}
+   */
+  function getEntries(changes) {
+    return [
+      ...changes.hired.map(person => ({ type: 'hired', person })),
+      ...changes.departed.map(person => ({ type: 'departed', person })),
+      ...changes.changed.map(person => ({ type: 'changed', person }))
+    ];
+  }
+  
+  /**
+   * Check whether an entry is shown under a filter
+   */
+  function matchesFilter(entry, filter) {
+    if (filter === 'all') return true;
+    if (filter === 'hired' || filter === 'departed') return entry.type === filter;
+    return entry.type === 'changed' && entry.person.changes.some(change => change.field === filter);
+  }
+  
+  /**
+   * Create the row for one person
+   * Built with DOM APIs, since names and locations come from BambooHR.
+   */
+  function createEntryItem(entry) {
+    const { type, person } = entry;
+    const item = document.createElement('li');
+    item.className = `bamboo-changes-entry bamboo-changes-${type}`;
+    
+    const header = document.createElement('div');
+    header.className = 'bamboo-changes-entry-header';
+    
+    // People who have left aren't on the map any more
+    let name;
+    if (type !== 'departed' && onSelect) {
+      name = document.createElement('button');
+      name.type = 'button';
+      name.title = 'Show on the map';
+      name.addEventListener('click', (e) => {
+        // Keep the employee popup's click-outside handler from closing the list right away
+        e.stopPropagation();
+        close();
+        onSelect(person);
+      });
+    } else {
+      name = document.createElement('span');
+    }
+    name.className = 'bamboo-changes-name';
+    name.textContent = person.name;
+    header.appendChild(name);
+    
+    if (type !== 'changed') {
+      const tag = document.createElement('span');
+      tag.className = 'bamboo-changes-tag';
+      tag.textContent = type === 'hired' ? 'New' : 'Left';
+      header.appendChild(tag);
+    }
+    item.appendChild(header);
+    
+    if (type === 'changed') {
+      person.changes.forEach(change => {
+        const detail = document.createElement('div');
+        detail.className = 'bamboo-changes-detail';
+        detail.textContent = `${change.label}: ${change.from || 'none'} → ${change.to || 'none'}`;
+        item.appendChild(detail);
+      });
+    } else {
+      const detail = document.createElement('div');
+      detail.className = 'bamboo-changes-detail';
+      detail.textContent = [person.jobTitle, person.department, person.location].filter(Boolean).join(' · ');
+      item.appendChild(detail);
+    }
+    
+    return item;
+  }
+  
+  /**
+   * Fill the filter buttons and the list for the active filter
+   */
+  function render() {
+    const panel = createPanel();
+    const entries = getEntries(currentChanges);
+    
+    const filters = panel.querySelector('.bamboo-changes-filters');
+    filters.innerHTML = '';
+    FILTERS.forEach(filter => {
+      const count = entries.filter(entry => matchesFilter(entry, filter.id)).length;
+      if (count === 0 && filter.id !== 'all') return;
+      
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'bamboo-changes-filter';
+      button.textContent = `${filter.label} (${count})`;
+      button.setAttribute('aria-pressed', String(filter.id === activeFilter));
+      button.addEventListener('click', () => {
+        activeFilter = filter.id;
+        render();
+      });
+      filters.appendChild(button);
+    });
+    
+    const list = panel.querySelector('.bamboo-changes-list');
+    list.innerHTML = '';
+    entries
+      .filter(entry => matchesFilter(entry, activeFilter))
+      .sort((a, b) => a.person.name.localeCompare(b.person.name))
+      .forEach(entry => list.appendChild(createEntryItem(entry)));
+  }
+  
+  /**
+   * Show the panel below an anchor element
+   * @param {Object} changes - As returned by compare()
+   * @param {HTMLElement} anchor - Element the panel is positioned against
+   * @param {Object} options - {onSelect: called with a person to show them on the map,
+   *   onDismiss: called when the changes are dismissed}
+   */
+  function show(changes, anchor, options = {}) {
+    const panel = createPanel();
+    anchorElement = anchor;
+    currentChanges = changes;
+    onSelect = options.onSelect || null;
+    onDismiss = options.onDismiss || null;
+    
+    // A filter with nothing left in it falls back to everything
+    if (!getEntries(changes).some(entry => matchesFilter(entry, activeFilter))) {
+      activeFilter = 'all';
+    }
+    
+    panel.querySelector('.bamboo-changes-since').textContent =
+      `Compared with the directory as of ${new Date(changes.since).toLocaleString()}`;
+    render();
+    
+    if (anchor) {
+      const rect = anchor.getBoundingClientRect();
+      panel.style.top = `${rect.bottom + 8}px`;
+      panel.style.left = `${Math.max(16, rect.left)}px`;
+    }
+    
+    panel.classList.add('bamboo-changes-visible');
+    isOpen = true;
+  }
+  
+  /**
+   * Close the panel
+   */
+  function close() {
+    if (panelElement) {
+      panelElement.classList.remove('bamboo-changes-visible');
+      isOpen = false;
+    }
+  }
+  
+  /**
+   * Toggle the panel
+   */
+  function toggle(changes, anchor, options) {
+    if (isOpen) {
+      close();
+    } else {
+      show(changes, anchor, options);
+    }
+  }
+  
+  /**
+   * Check if panel is currently open
+   */
+  function isVisible() {
+    return isOpen;
+  }
+  
+  /**
+   * Destroy the panel element
+   */
+  function destroy() {
+    if (panelElement) {
+      panelElement.remove();
+      panelElement = null;
+    }
+    anchorElement = null;
+    currentChanges = null;
+    isOpen = false;
+  }
+  
+  // Public API
+  return {
+    TRACKED_FIELDS,
+    compare,
+    restore,
+    summarize,
+    show,
+    toggle,
+    close,
+    isVisible,
+    destroy
+  };
+})();
+
+// Export for use in other scripts
+if (typeof window !== 'undefined') {
+  window.BambooChanges = BambooChanges;
+}
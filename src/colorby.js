@@ -0,0 +1,170 @@
+/**
+ * Color-by legend for BambooHR Map
+ * Assigns colors to the values of a field (e.g. each department) and shows
+ * them in a legend on the map, where categories can be switched on and off
+ */
+
+const BambooColorBy = (function() {
+  // Values beyond the first named ones share the "Other" color
+  const NAMED_COLORS = 9;
+  const OTHER_COLOR = '#94a3b8';
+  const NOT_SET_COLOR = '#e2e8f0';
+  const OTHER_KEY = 'other';
+  const NOT_SET_KEY = 'not-set';
+  
+  let panelElement = null;
+  let fieldIds = '';
+  let callbacks = {};
+  
+  /**
+   * Give each value of a field a color, largest first, so colors stay put while filtering
+   * @param {Array<{value: string, count: number}>} valueCounts - Every value in the directory with its headcount
+   * @param {string} label - Field name, e.g. "Department"
+   * @returns {{categories: Array, getCategory: Function}} - Categories as {key, label, color, values};
+   *   getCategory maps a value to its category key
+   */
+  function assignColors(valueCounts, label) {
+    const ranked = [...valueCounts].sort((a, b) => b.count - a.count || a.value.localeCompare(b.value));
+    const named = ranked.length > NAMED_COLORS + 1 ? ranked.slice(0, NAMED_COLORS) : ranked;
+    const other = ranked.slice(named.length);
+    
+    const categories = named.map((entry, i) => ({
+      key: `value:${entry.value}`,
+      label: entry.value,
+      color: d3.schemeTableau10[i % d3.schemeTableau10.length],
+      values: [entry.value]
+    }));
+    if (other.length > 0) {
+      categories.push({ key: OTHER_KEY, label: `Other (${other.length})`, color: OTHER_COLOR, values: other.map(entry => entry.value) });
+    }
+    categories.push({ key: NOT_SET_KEY, label: `No ${label.toLowerCase()}`, color: NOT_SET_COLOR, values: [] });
+    
+    const namedValues = new Set(named.map(entry => entry.value));
+    return {
+      categories,
+      getCategory: (value) => {
+        if (!value) return NOT_SET_KEY;
+        return namedValues.has(value) ? `value:${value}` : OTHER_KEY;
+      }
+    };
+  }
+  
+  /**
+   * Create the legend panel in the map container
+   * @param {HTMLElement} container - Map container
+   * @param {Object} options - {onFieldChange: called with a field id or null, onToggle: called with (values, visible)}
+   */
+  function init(container, options = {}) {
+    callbacks = options;
+    
+    panelElement = document.createElement('div');
+    panelElement.className = 'bamboo-colorby';
+    panelElement.innerHTML = `
+      <label class="bamboo-colorby-field">
+        Color by
+        <select class="bamboo-colorby-select"></select>
+      </label>
+      <ul class="bamboo-colorby-legend" hidden></ul>
+    `;
+    
+    panelElement.querySelector('.bamboo-colorby-select').addEventListener('change', (e) => {
+      if (callbacks.onFieldChange) callbacks.onFieldChange(e.target.value || null);
+    });
+    
+    container.appendChild(panelElement);
+  }
+  
+  /**
+   * List the fields pins can be colored by
+   * Built with DOM APIs, since field names come from BambooHR.
+   * @param {Array<{name: string, label: string}>} fields - Filter facets
+   * @param {string|null} selected - Field pins are colored by
+   */
+  function setFields(fields, selected) {
+    if (!panelElement) return;
+    
+    const select = panelElement.querySelector('.bamboo-colorby-select');
+    const ids = fields.map(field => field.name).join('\n');
+    if (ids !== fieldIds) {
+      fieldIds = ids;
+      select.innerHTML = '<option value="">Nothing</option>';
+      fields.forEach(field => {
+        const option = document.createElement('option');
+        option.value = field.name;
+        option.textContent = field.label;
+        select.appendChild(option);
+      });
+    }
+    select.value = selected || '';
+  }
+  
+  /**
+   * Show the categories of the shown employees
+   * @param {Array|null} entries - {key, label, color, values, count, hidden}; null hides the legend
+   */
+  function render(entries) {
+    if (!panelElement) return;
+    
+    const legend = panelElement.querySelector('.bamboo-colorby-legend');
+    legend.innerHTML = '';
+    legend.hidden = !entries;
+    if (!entries) return;
+    
+    entries.forEach(entry => {
+      const item = document.createElement('li');
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'bamboo-colorby-item';
+      button.setAttribute('aria-pressed', String(!entry.hidden));
+      // Employees without a value can't be filtered out, since they have nothing to filter on
+      button.disabled = entry.values.length === 0;
+      if (!button.disabled) {
+        button.title = `${entry.hidden ? 'Show' : 'Hide'} ${entry.label}`;
+      }
+      button.addEventListener('click', () => {
+        if (callbacks.onToggle) callbacks.onToggle(entry.values, entry.hidden);
+      });
+      
+      const swatch = document.createElement('span');
+      swatch.className = 'bamboo-colorby-swatch';
+      swatch.style.backgroundColor = entry.color;
+      
+      const label = document.createElement('span');
+      label.className = 'bamboo-colorby-label';
+      label.textContent = entry.label;
+      
+      const count = document.createElement('span');
+      count.className = 'bamboo-colorby-count';
+      count.textContent = entry.count;
+      
+      button.append(swatch, label, count);
+      item.appendChild(button);
+      legend.appendChild(item);
+    });
+  }
+  
+  /**
+   * Remove the legend panel
+   */
+  function destroy() {
+    if (panelElement) {
+      panelElement.remove();
+      panelElement = null;
+    }
+    fieldIds = '';
+  }
+  
+  // Public API
+  return {
+    assignColors,
+    init,
+    setFields,
+    render,
+    destroy
+  };
+})();
+
+// Export for use in other scripts
+if (typeof window !== 'undefined') {
+  window.BambooColorBy = BambooColorBy;
+}
@@ -7,12 +7,50 @@
   'use strict';
   
   const STORAGE_KEY = 'bamboo-map-collapsed';
+  const MODE_STORAGE_KEY = 'bamboo-map-mode';
+  const TIMEZONES_STORAGE_KEY = 'bamboo-map-timezones';
+  const LIST_VIEW_STORAGE_KEY = 'bamboo-map-list-view';
+  const COLOR_STORAGE_KEY = 'bamboo-map-color-by';
   const MAP_HEIGHT = 400;
+  const UPDATED_INTERVAL = 60000;
   
   let mapContainer = null;
   let mapInitialized = false;
   let employees = [];
   let locationGroups = new Map();
+  let unmatchedLocations = new Map();
+  let uncertainLocations = new Map();
+  let ambiguousLocations = new Map();
+  let countryCounts = new Map();
+  let openPinName = null;
+  let initialMode = 'pins';
+  
+  // The directory as fetched, for the cache and to tell whether a refresh changed anything
+  let directorySnapshot = null;
+  let lastUpdatedAt = null;
+  let updateStatus = 'idle';
+  let updateError = null;
+  let loadProgress = null;
+  let pendingRefresh = null;
+  
+  // Why the directory shown is only part of it, or null when it's all there
+  let incompleteError = null;
+  
+  // How many employees the directory had when last loaded, to show loading progress against
+  let expectedEmployees = null;
+  
+  // New hires, departures and moves found when the directory last changed, until dismissed
+  let directoryChanges = null;
+  
+  // Fields the directory describes, and the ones the user chose as filters and popup attributes
+  let directoryFields = BambooFields.DEFAULT_FIELDS;
+  let fieldPreferences = BambooFields.loadPreferences(directoryFields);
+  
+  // Directory fields offered as multi-select filters, as {name: field id, label: field name}
+  let facets = [];
+  
+  // Facet the pins are colored by, or null for plain pins
+  let colorField = localStorage.getItem(COLOR_STORAGE_KEY) || null;
   
   /**
    * Sanitize a string value - ensures it's a string and removes potential XSS vectors
@@ -23,13 +61,37 @@
     return value.replace(/\0/g, '').trim();
   }
   
+  /**
+   * Sanitize an id value - the API sends employee ids as numbers or strings
+   */
+  function sanitizeId(value) {
+    if (typeof value === 'number' && Number.isFinite(value)) return String(value);
+    return sanitizeString(value);
+  }
+  
+  /**
+   * Sanitize a directory field value - custom fields may hold numbers as well as text
+   */
+  function sanitizeFieldValue(value) {
+    if (typeof value === 'number' && Number.isFinite(value)) return String(value);
+    return sanitizeString(value);
+  }
+  
   /**
    * Validate and sanitize employee data from API response
+   * @param {Object} emp - Raw directory record
+   * @param {string[]} fieldIds - Directory fields to keep under `fields`, including custom ones
    */
-  function validateEmployee(emp) {
+  function validateEmployee(emp, fieldIds = []) {
     if (!emp || typeof emp !== 'object') return null;
     if (typeof emp.id === 'undefined') return null;
     
+    const fields = {};
+    fieldIds.forEach(id => {
+      const value = sanitizeFieldValue(emp[id]);
+      if (value) fields[id] = value;
+    });
+    
     return {
       id: emp.id,
       displayFirstName: sanitizeString(emp.displayFirstName),
@@ -40,10 +102,25 @@
       department: sanitizeString(emp.department),
       division: sanitizeString(emp.division),
       location: sanitizeString(emp.location),
-      photoUrl: sanitizeString(emp.photoUrl)
+      photoUrl: sanitizeString(emp.photoUrl),
+      // Directories expose the manager as an employee id, a name, or both
+      supervisorId: sanitizeId(emp.supervisorId ?? emp.supervisorEId),
+      supervisor: sanitizeString(emp.supervisor),
+      fields
     };
   }
   
+  /**
+   * Validate employees read back from the cache like those from the API
+   * Custom field values are stored under `fields`, where validateEmployee() doesn't look.
+   */
+  function sanitizeCachedEmployees(cachedEmployees, fields) {
+    const fieldIds = fields.map(field => field.id);
+    return cachedEmployees
+      .map(emp => (emp && typeof emp === 'object' ? validateEmployee({ ...emp.fields, ...emp }, fieldIds) : null))
+      .filter(emp => emp !== null);
+  }
+  
   /**
    * Check if we're on the directory page
    */
@@ -53,35 +130,39 @@
   
   /**
    * Fetch employee directory data from BambooHR API with pagination
+   * @param {Function} [onProgress] - Called with the number of employees loaded after each page
+   * @returns {Promise<{employees: Array, fields: Array, complete: boolean, error: Error|null}>} - Validated
+   *   employees, the directory's field descriptions, whether every page was fetched, and if not, why
    */
-  async function fetchEmployees() {
+  async function fetchEmployees(onProgress) {
     const allEmployees = [];
+    let fields = BambooFields.DEFAULT_FIELDS;
     const limit = 100;
     let page = 1;
     let hasMore = true;
     
     try {
       while (hasMore) {
-        const response = await fetch(`/api/v1_1/employees/directory?page=${page}&limit=${limit}`, {
-          credentials: 'include',
-          headers: {
-            'Accept': 'application/json'
-          }
-        });
-        
-        if (!response.ok) {
-          throw new Error('API request failed');
+        const data = await BambooApi.fetchJson(`/api/v1_1/employees/directory?page=${page}&limit=${limit}`);
+        if (!data || !Array.isArray(data.employees)) {
+          throw BambooApi.createError('api');
         }
         
-        const data = await response.json();
-        const rawEmployees = data.employees || [];
+        const rawEmployees = data.employees;
+        if (page === 1) {
+          fields = BambooFields.sanitize(data.fields);
+        }
         
         // Validate and sanitize each employee record
+        const fieldIds = fields.map(field => field.id);
         const validEmployees = rawEmployees
-          .map(validateEmployee)
+          .map(emp => validateEmployee(emp, fieldIds))
           .filter(emp => emp !== null);
         
         allEmployees.push(...validEmployees);
+        if (onProgress) {
+          onProgress(allEmployees.length);
+        }
         
         // If we got fewer than the limit, we've reached the end
         if (rawEmployees.length < limit) {
@@ -91,18 +172,129 @@
         }
       }
       
-      return allEmployees;
+      return { employees: allEmployees, fields, complete: true, error: null };
+    } catch (error) {
+      // Don't log sensitive error details; anything unexpected means the API isn't what we expect
+      return {
+        employees: allEmployees, // Return what we have so far
+        fields,
+        complete: false,
+        error: error.kind ? error : BambooApi.createError('api')
+      };
+    }
+  }
+  
+  /**
+   * Fetch supervisor ids from the custom reports endpoint, for directories
+   * that don't include the supervisor fields
+   * @returns {Promise<Map<string, string>>} - Employee id to their supervisor's employee id
+   */
+  async function fetchSupervisors() {
+    const supervisors = new Map();
+    
+    try {
+      const data = await BambooApi.fetchJson('/api/v1/reports/custom?format=JSON&onlyCurrent=true', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ fields: ['id', 'supervisorEId'] })
+      });
+      
+      ((data && data.employees) || []).forEach(row => {
+        const id = sanitizeId(row && row.id);
+        const supervisorId = sanitizeId(row && row.supervisorEId);
+        if (id && supervisorId) {
+          supervisors.set(id, supervisorId);
+        }
+      });
     } catch (error) {
-      // Don't log sensitive error details
-      return allEmployees; // Return what we have so far
+      // Reporting lines are optional - the map works without them
+    }
+    
+    return supervisors;
+  }
+  
+  /**
+   * Build the reporting relationships, falling back to the reports endpoint
+   * when the directory has no supervisor fields
+   * @param {Array} validatedEmployees - Everyone in the directory, with or without a location
+   */
+  async function loadReportingLines(validatedEmployees) {
+    if (!validatedEmployees.some(emp => emp.supervisorId || emp.supervisor)) {
+      const supervisors = await fetchSupervisors();
+      validatedEmployees = validatedEmployees.map(emp => ({
+        ...emp,
+        supervisorId: supervisors.get(String(emp.id)) || ''
+      }));
     }
+    
+    BambooOrg.init(validatedEmployees);
+  }
+  
+  /**
+   * Index the location groups by employee id
+   * @returns {Map<string, Object>} - Employee id to their location group
+   */
+  function getEmployeeLocations(groups) {
+    const locations = new Map();
+    groups.forEach(group => {
+      group.employees.forEach(emp => locations.set(String(emp.id), group));
+    });
+    return locations;
+  }
+  
+  /**
+   * Collect the division (or department) of everyone at each location string,
+   * so the geocoder can settle ambiguous locations like "GA" from where
+   * colleagues are. Always built from the whole directory, not the filtered
+   * list, so a location doesn't move when filters change.
+   * @returns {Map<string, string[]>} - Raw location string to one group key per employee
+   */
+  function getOrganizationContext() {
+    const context = new Map();
+    
+    for (const employee of allEmployeesData) {
+      if (!employee.location) continue;
+      
+      if (!context.has(employee.location)) {
+        context.set(employee.location, []);
+      }
+      
+      const group = employee.division
+        ? `division:${employee.division}`
+        : (employee.department ? `department:${employee.department}` : null);
+      if (group) {
+        context.get(employee.location).push(group);
+      }
+    }
+    
+    return context;
+  }
+  
+  /**
+   * Add an employee to a {match, employees} entry keyed by raw location string
+   */
+  function addToReport(report, employee, match) {
+    if (!report.has(employee.location)) {
+      report.set(employee.location, { match, employees: [] });
+    }
+    report.get(employee.location).employees.push(employee);
   }
   
   /**
    * Group employees by their geocoded location
+   * @returns {Promise<{groups: Map, unmatched: Map<string, Array>, uncertain: Map<string, Object>, ambiguous: Map<string, Object>, countries: Map<string, number>}>} -
+   *   Location groups, employees whose location couldn't be geocoded keyed by raw location
+   *   string, low-confidence and ambiguous matches keyed by raw location string as {match, employees},
+   *   and employee counts keyed by ISO country code
    */
   async function groupEmployeesByLocation(employeeList) {
     const groups = new Map();
+    const unmatched = new Map();
+    const uncertain = new Map();
+    const ambiguous = new Map();
+    const countries = new Map();
     
     // Get all unique locations
     const locations = employeeList
@@ -110,7 +302,7 @@
       .filter(Boolean);
     
     // Geocode all locations
-    const geocoded = await BambooGeocoder.geocodeBatch(locations);
+    const geocoded = await BambooGeocoder.geocodeBatch(locations, { groups: getOrganizationContext() });
     
     // Group employees by geocoded location
     for (const employee of employeeList) {
@@ -118,25 +310,52 @@
       
       const coords = geocoded.get(employee.location);
       if (!coords) {
+        if (!unmatched.has(employee.location)) {
+          unmatched.set(employee.location, []);
+        }
+        unmatched.get(employee.location).push(employee);
         continue;
       }
       
-      // Use a key based on rounded coordinates to cluster nearby locations
-      const key = `${coords.lat.toFixed(2)},${coords.lng.toFixed(2)}`;
+      const lowConfidence = BambooGeocoder.isLowConfidence(coords);
+      if (lowConfidence) {
+        addToReport(uncertain, employee, coords);
+      }
+      
+      const isAmbiguous = BambooGeocoder.isAmbiguous(coords);
+      if (isAmbiguous) {
+        addToReport(ambiguous, employee, coords);
+      }
+      
+      if (coords.countryCode) {
+        countries.set(coords.countryCode, (countries.get(coords.countryCode) || 0) + 1);
+      }
+      
+      // One group per place: strings that resolve to the same place share it,
+      // while distinct places at (nearly) the same spot, like an office alias
+      // inside a city, stay separate so the map can fan them out
+      const name = coords.name || employee.location;
+      const key = `${coords.lat.toFixed(2)},${coords.lng.toFixed(2)}|${name}`;
       
       if (!groups.has(key)) {
         groups.set(key, {
           lat: coords.lat,
           lng: coords.lng,
-          name: coords.name || employee.location,
+          name,
+          timeZone: BambooTimeZones.getTimeZone(coords),
+          lowConfidence: false,
+          ambiguous: false,
           employees: []
         });
       }
       
-      groups.get(key).employees.push(employee);
+      const group = groups.get(key);
+      group.employees.push(employee);
+      group.lowConfidence = group.lowConfidence || lowConfidence;
+      group.ambiguous = group.ambiguous || isAmbiguous;
     }
     
-    return groups;
+    return { groups, unmatched, uncertain, ambiguous, countries };
   }
   
   /**
@@ -153,22 +372,39 @@
       department: employee.department || '',
       division: employee.division || '',
       location: employee.location,
-      photoUrl: employee.photoUrl || ''
+      photoUrl: employee.photoUrl || '',
+      supervisorId: employee.supervisorId || '',
+      supervisor: employee.supervisor || '',
+      fields: employee.fields || {}
     })).filter(emp => emp.location); // Only include employees with location
   }
   
+  /**
+   * Filters that match everyone: a name search plus an empty selection per facet
+   */
+  function createEmptyFilters() {
+    const filters = { name: '' };
+    facets.forEach(facet => {
+      filters[facet.name] = BambooFacets.emptySelection();
+    });
+    return filters;
+  }
+  
   let allEmployeesData = []; // Store all employees for filtering
-  let currentFilters = { name: '', jobTitle: '', department: '', division: '' };
+  let currentFilters = createEmptyFilters();
+  let facetControls = new Map();
   
   /**
-   * Get unique values for a field from a list of employees
+   * Count employees per value of a field
+   * @returns {Array<{value: string, count: number}>}
    */
-  function getUniqueValues(field, employeeList) {
-    const values = new Set();
+  function getValueCounts(field, employeeList) {
+    const counts = new Map();
     employeeList.forEach(emp => {
-      if (emp[field]) values.add(emp[field]);
+      const value = BambooFields.getValue(emp, field);
+      if (value) counts.set(value, (counts.get(value) || 0) + 1);
     });
-    return Array.from(values).sort();
+    return Array.from(counts, ([value, count]) => ({ value, count }));
   }
   
   /**
@@ -178,10 +414,10 @@
     return allEmployeesData.filter(emp => {
       const nameMatch = excludeFilter === 'name' || !currentFilters.name || 
         `${emp.firstName} ${emp.lastName}`.toLowerCase().includes(currentFilters.name.toLowerCase());
-      const jobMatch = excludeFilter === 'jobTitle' || !currentFilters.jobTitle || emp.jobTitle === currentFilters.jobTitle;
-      const deptMatch = excludeFilter === 'department' || !currentFilters.department || emp.department === currentFilters.department;
-      const divMatch = excludeFilter === 'division' || !currentFilters.division || emp.division === currentFilters.division;
-      return nameMatch && jobMatch && deptMatch && divMatch;
+      return nameMatch && facets.every(facet =>
+        excludeFilter === facet.name ||
+        BambooFacets.matches(BambooFields.getValue(emp, facet.name), currentFilters[facet.name])
+      );
     });
   }
   
@@ -193,74 +429,741 @@
   }
   
   /**
-   * Update a single dropdown with available options
+   * Update all filter facets based on current selections (cascading filters)
+   * Each facet lists the values, with counts, among employees matching the other filters.
    */
-  function updateDropdown(filterName, availableValues, defaultLabel) {
-    const select = document.querySelector(`select[data-filter="${filterName}"]`);
-    if (!select) return;
+  function updateFilterDropdowns() {
+    facets.forEach(facet => {
+      const control = facetControls.get(facet.name);
+      if (!control) return;
+      
+      const available = getValueCounts(facet.name, filterEmployeesExcluding(facet.name));
+      control.update(available, currentFilters[facet.name]);
+    });
+  }
+  
+  /**
+   * Create a facet control for each filterable field in the filter popup
+   */
+  function renderFacetControls() {
+    const facetContainer = document.querySelector('.bamboo-filter-facets');
+    if (!facetContainer) return;
     
-    const currentValue = currentFilters[filterName];
+    facetContainer.innerHTML = '';
+    facetControls = new Map();
+    facets.forEach(facet => {
+      const control = BambooFacets.create({
+        name: facet.name,
+        label: facet.label,
+        onChange: (selection) => {
+          currentFilters[facet.name] = selection;
+          updateMapWithFilters();
+        }
+      });
+      facetControls.set(facet.name, control);
+      
+      const row = document.createElement('div');
+      row.className = 'bamboo-filter-row';
+      row.appendChild(control.element);
+      facetContainer.appendChild(row);
+    });
     
-    // Clear existing options
-    select.innerHTML = `<option value="">${defaultLabel}</option>`;
+    updateFilterDropdowns();
+  }
+  
+  /**
+   * Show facets for these directory fields, dropping selections on fields that are no longer shown
+   * @param {string[]} ids - Directory field ids
+   */
+  function setFacets(ids) {
+    const namesById = new Map(directoryFields.map(field => [field.id, field.name]));
+    facets = ids
+      .filter(id => namesById.has(id))
+      .map(id => ({ name: id, label: namesById.get(id) }));
     
-    // Add available options
-    availableValues.forEach(v => {
-      const option = new Option(v, v);
-      if (v === currentValue) option.selected = true;
-      select.appendChild(option);
+    const previousFilters = currentFilters;
+    currentFilters = createEmptyFilters();
+    currentFilters.name = previousFilters.name;
+    facets.forEach(facet => {
+      if (previousFilters[facet.name]) {
+        currentFilters[facet.name] = previousFilters[facet.name];
+      }
     });
     
-    // If current value is no longer available, reset it
-    if (currentValue && !availableValues.includes(currentValue)) {
-      currentFilters[filterName] = '';
-      select.value = '';
-    }
+    renderFacetControls();
   }
   
   /**
-   * Update all filter dropdowns based on current selections (cascading filters)
+   * Apply the user's choice of filter facets and popup attributes
+   * @param {Object} preferences - {facets: field ids, attributes: field ids}
    */
-  function updateFilterDropdowns() {
-    // Get available values for each filter based on other filters
-    const jobTitleEmployees = filterEmployeesExcluding('jobTitle');
-    const departmentEmployees = filterEmployeesExcluding('department');
-    const divisionEmployees = filterEmployeesExcluding('division');
+  function setFieldPreferences(preferences) {
+    fieldPreferences = preferences;
+    setFacets(preferences.facets);
     
-    const availableJobTitles = getUniqueValues('jobTitle', jobTitleEmployees);
-    const availableDepartments = getUniqueValues('department', departmentEmployees);
-    const availableDivisions = getUniqueValues('division', divisionEmployees);
-    
-    updateDropdown('jobTitle', availableJobTitles, 'All Job Titles');
-    updateDropdown('department', availableDepartments, 'All Departments');
-    updateDropdown('division', availableDivisions, 'All Divisions');
+    const fieldsById = new Map(directoryFields.map(field => [field.id, field]));
+    BambooPopup.setAttributes(preferences.attributes
+      .filter(id => fieldsById.has(id))
+      .map(id => fieldsById.get(id)));
   }
   
   /**
    * Update map with filtered employees
+   * @param {Object} [options] - {replace: the user didn't change the view, e.g. the directory was refreshed,
+   *   so it doesn't get its own history entry}
    */
-  async function updateMapWithFilters() {
+  async function updateMapWithFilters(options = {}) {
     // Update cascading dropdowns first
     updateFilterDropdowns();
     
     const filtered = filterEmployees();
-    const newGroups = await groupEmployeesByLocation(filtered);
-    const locationsArray = Array.from(newGroups.values());
+    const { groups, unmatched, uncertain, ambiguous, countries } = await groupEmployeesByLocation(filtered);
+    const locationsArray = Array.from(groups.values());
+    locationGroups = groups;
+    unmatchedLocations = unmatched;
+    uncertainLocations = uncertain;
+    ambiguousLocations = ambiguous;
+    countryCounts = countries;
     
+    updatePinColors();
     BambooMap.renderPins(locationsArray);
-    updateFilterCount(filtered.length, locationsArray.length);
+    BambooMap.setCountryCounts(countryCounts);
+    BambooListView.render(locationsArray);
+    updateFilterCount(locationsArray);
     updateFilterBadge();
+    recordView(options);
+  }
+  
+  /**
+   * Color pins by the chosen facet and list its categories in the legend
+   * Colors are assigned over the whole directory, so they stay put while filtering.
+   */
+  function updatePinColors() {
+    const facet = facets.find(f => f.name === colorField);
+    BambooColorBy.setFields(facets, facet ? facet.name : null);
+    if (!facet) {
+      BambooMap.setPinColors(null);
+      BambooColorBy.render(null);
+      return;
+    }
+    
+    const { categories, getCategory } = BambooColorBy.assignColors(getValueCounts(facet.name, allEmployeesData), facet.label);
+    const getEmployeeCategory = emp => getCategory(BambooFields.getValue(emp, facet.name));
+    BambooMap.setPinColors({ title: facet.label, categories, getCategory: getEmployeeCategory });
+    
+    // Count among employees matching the other filters, so switched-off categories keep their count
+    const counts = new Map();
+    filterEmployeesExcluding(facet.name).forEach(emp => {
+      const key = getEmployeeCategory(emp);
+      counts.set(key, (counts.get(key) || 0) + 1);
+    });
+    const selection = currentFilters[facet.name];
+    BambooColorBy.render(categories
+      .filter(category => counts.has(category.key))
+      .map(category => ({
+        ...category,
+        count: counts.get(category.key),
+        hidden: category.values.length > 0 && category.values.every(value => !BambooFacets.matches(value, selection))
+      })));
+  }
+  
+  /**
+   * Color pins by a facet, or pass null for plain pins; the choice is remembered
+   */
+  function setColorField(field) {
+    colorField = field;
+    if (field) {
+      localStorage.setItem(COLOR_STORAGE_KEY, field);
+    } else {
+      localStorage.removeItem(COLOR_STORAGE_KEY);
+    }
+    updateMapWithFilters();
+  }
+  
+  /**
+   * Switch legend categories on or off by changing the colored facet's selection
+   * A facet that lists chosen values keeps doing so; otherwise the switched-off
+   * values are excluded.
+   * @param {string[]} values - Facet values in the category
+   * @param {boolean} visible - Show or hide them
+   */
+  function setCategoriesVisible(values, visible) {
+    const selection = currentFilters[colorField];
+    if (!selection) return;
+    
+    if (selection.values.length > 0 && !selection.exclude) {
+      const included = new Set(selection.values);
+      values.forEach(value => visible ? included.add(value) : included.delete(value));
+      // Nothing left to include means everything is switched off
+      currentFilters[colorField] = included.size > 0
+        ? { values: [...included], exclude: false }
+        : { values: getValueCounts(colorField, allEmployeesData).map(option => option.value), exclude: true };
+    } else {
+      const excluded = new Set(selection.values);
+      values.forEach(value => visible ? excluded.delete(value) : excluded.add(value));
+      currentFilters[colorField] = { values: [...excluded], exclude: excluded.size > 0 };
+    }
+    updateMapWithFilters();
+  }
+  
+  /**
+   * Current view state for the URL hash
+   */
+  function getViewState() {
+    return {
+      filters: currentFilters,
+      mode: BambooMap.getMode(),
+      color: facets.some(facet => facet.name === colorField) ? colorField : null,
+      view: BambooMap.getView(),
+      pin: openPinName
+    };
+  }
+  
+  /**
+   * Check whether a view is what the map shows without a link: no filters, zoom
+   * or open pin, and the user's saved mode and pin colors
+   */
+  function isDefaultView(state) {
+    const savedColor = localStorage.getItem(COLOR_STORAGE_KEY);
+    return !state.filters.name &&
+      facets.every(facet => !state.filters[facet.name] || state.filters[facet.name].values.length === 0) &&
+      !state.view &&
+      !state.pin &&
+      state.mode === (localStorage.getItem(MODE_STORAGE_KEY) || 'pins') &&
+      state.color === (facets.some(facet => facet.name === savedColor) ? savedColor : null);
+  }
+  
+  /**
+   * Add the current view to the browser history once it settles
+   * The default view leaves the URL without map state, so reloading doesn't treat it as a link.
+   * @param {Object} [options] - {replace: update the current history entry, for changes the user didn't make}
+   */
+  function recordView(options = {}) {
+    if (mapInitialized) {
+      BambooViewState.push(() => {
+        const state = getViewState();
+        return isDefaultView(state) ? null : state;
+      }, options);
+    }
+  }
+  
+  /**
+   * Open the employee popup for a pin and remember it in the view state
+   * @param {Object} event - Click event, or a position with a returnFocus callback when opened from the keyboard
+   */
+  function openPopup(data, event) {
+    openPinName = data.name;
+    BambooDirectory.showEmployees(data.employees.map(emp => emp.id));
+    BambooPopup.show(data, event, {
+      returnFocus: event.returnFocus,
+      onClose: () => {
+        openPinName = null;
+        BambooDirectory.showEmployees(null);
+        recordView();
+      }
+    });
+    recordView();
+  }
+  
+  /**
+   * Highlight the pin of a person whose row is hovered in the native directory list
+   */
+  function highlightEmployeePin(employeeId) {
+    const group = Array.from(locationGroups.values())
+      .find(location => location.employees.some(emp => String(emp.id) === employeeId));
+    BambooMap.highlightPin(group ? group.name : null);
+  }
+  
+  /**
+   * Everyone on the map, whatever the filters, with the name of their location
+   */
+  function getSearchPeople(groups) {
+    return Array.from(groups.values()).flatMap(group =>
+      group.employees.map(employee => ({ employee, location: group.name }))
+    );
+  }
+  
+  /**
+   * Fly to a person's pin, pulse it and open their location's list with them highlighted
+   */
+  async function findPerson(employee) {
+    // People hidden by the filters have no pin, so show everyone first
+    if (!filterEmployees().some(emp => emp.id === employee.id)) {
+      currentFilters = createEmptyFilters();
+      const nameInput = document.querySelector('input[data-filter="name"]');
+      if (nameInput) {
+        nameInput.value = '';
+      }
+      await updateMapWithFilters();
+    }
+    
+    const group = Array.from(locationGroups.values())
+      .find(location => location.employees.some(emp => emp.id === employee.id));
+    if (!group) return;
+    
+    BambooPopup.close();
+    if (BambooMap.getMode() !== 'pins') {
+      BambooMap.setMode('pins');
+    }
+    const view = BambooMap.getView();
+    await BambooMap.zoomToLocation(group.lat, group.lng, Math.max(4, view ? view.k : 1));
+    
+    BambooMap.pulsePin(group.name);
+    if (BambooMap.openPin(group.name)) {
+      BambooPopup.highlight(employee.id);
+    }
+  }
+  
+  /**
+   * Restore a view from the URL hash: filters, mode, pin colors, zoom and the open pin
+   * @param {Object|null} state - Parsed view state; null restores the default view
+   */
+  async function applyViewState(state) {
+    const filters = state ? state.filters : { name: '' };
+    colorField = state && state.color !== null ? state.color : localStorage.getItem(COLOR_STORAGE_KEY);
+    
+    // Links can filter or color on fields this user hasn't chosen as facets, so show those as well
+    const linkedFacets = Object.keys(filters)
+      .filter(id => id !== 'name' && filters[id].values.length > 0)
+      .concat(colorField ? [colorField] : []);
+    setFacets([...new Set([...fieldPreferences.facets, ...linkedFacets])]);
+    
+    currentFilters = createEmptyFilters();
+    currentFilters.name = filters.name;
+    facets.forEach(facet => {
+      if (filters[facet.name]) {
+        currentFilters[facet.name] = filters[facet.name];
+      }
+    });
+    const nameInput = document.querySelector('input[data-filter="name"]');
+    if (nameInput) {
+      nameInput.value = currentFilters.name;
+    }
+    
+    BambooPopup.close();
+    BambooMap.setMode((state && state.mode) || initialMode);
+    await updateMapWithFilters();
+    BambooMap.setView(state ? state.view : null);
+    if (state && state.pin) {
+      BambooMap.openPin(state.pin);
+    }
+    
+    // Restoring isn't a new view, so don't add it to the history
+    BambooViewState.cancel();
+  }
+  
+  /**
+   * Re-geocode everyone, after the user edits their location aliases or the directory changed
+   */
+  async function refreshLocations() {
+    const { groups, unmatched, uncertain, ambiguous, countries } = await groupEmployeesByLocation(allEmployeesData);
+    BambooOrg.setLocations(getEmployeeLocations(groups));
+    BambooSearch.setPeople(getSearchPeople(groups));
+    
+    if (mapInitialized) {
+      await updateMapWithFilters({ replace: true });
+      return;
+    }
+    
+    locationGroups = groups;
+    unmatchedLocations = unmatched;
+    uncertainLocations = uncertain;
+    ambiguousLocations = ambiguous;
+    countryCounts = countries;
+    updateFilterCount(Array.from(locationGroups.values()));
+  }
+  
+  /**
+   * Use the fields a directory describes for filters, popup attributes and links
+   */
+  function setDirectoryFields(fields) {
+    directoryFields = fields;
+    BambooViewState.setFacetKeys(BambooFields.getChoosable(fields).map(field => field.id));
+    setFieldPreferences(BambooFields.loadPreferences(fields));
+    renderFieldChooser();
+  }
+  
+  /**
+   * Show a directory: its fields, employees, their locations and reporting lines
+   * @param {Array} validatedEmployees - Everyone in the directory, with or without a location
+   * @param {Array} fields - The directory's field descriptions
+   */
+  async function setDirectory(validatedEmployees, fields) {
+    const fieldsChanged = !directorySnapshot || JSON.stringify(fields) !== JSON.stringify(directorySnapshot.fields);
+    directorySnapshot = { employees: validatedEmployees, fields };
+    
+    // Process and store employee data for filtering
+    allEmployeesData = processEmployeeData(validatedEmployees);
+    employees = allEmployeesData;
+    
+    // Filters and popup attributes come from the fields this directory has
+    if (fieldsChanged) {
+      setDirectoryFields(fields);
+    }
+    
+    await refreshLocations();
+    
+    // Reporting lines cover the whole directory, whatever the filters show
+    loadReportingLines(validatedEmployees);
+  }
+  
+  /**
+   * Cache the directory and its geocode results for the next visit
+   */
+  async function saveDirectory() {
+    lastUpdatedAt = await BambooCache.save({
+      employees: directorySnapshot.employees,
+      fields: directorySnapshot.fields,
+      geocodes: BambooGeocoder.exportCache(),
+      changes: directoryChanges
+    });
+  }
+  
+  /**
+   * Fetch the directory again and redraw what changed, keeping the cached view until then
+   * @returns {Promise} - Settles when the refresh is done; refreshes already running are shared
+   */
+  function refreshDirectory() {
+    if (pendingRefresh) return pendingRefresh;
+    
+    setUpdateStatus('updating');
+    pendingRefresh = (async () => {
+      const { employees: fresh, fields, complete, error } = await fetchEmployees(setLoadProgress);
+      rememberEmployeeCount(fresh.length, complete);
+      
+      // Keep showing the cached directory rather than part of a new one,
+      // but a map that's already partial gets whatever more could be loaded
+      if (!complete || fresh.length === 0) {
+        if (incompleteError && fresh.length > directorySnapshot.employees.length) {
+          await setDirectory(fresh, fields);
+          setIncomplete(error);
+        }
+        setUpdateStatus('failed', error);
+        return;
+      }
+      
+      if (JSON.stringify({ employees: fresh, fields }) !== JSON.stringify(directorySnapshot)) {
+        // Changes to fields that aren't tracked keep the ones found before, and a
+        // partial directory isn't worth comparing with
+        const changes = incompleteError ? null : BambooChanges.compare(directorySnapshot.employees, fresh, lastUpdatedAt);
+        if (changes) {
+          setDirectoryChanges(changes);
+        }
+        await setDirectory(fresh, fields);
+      }
+      await saveDirectory();
+      setIncomplete(null);
+      setUpdateStatus('idle');
+    })().finally(() => {
+      pendingRefresh = null;
+    });
+    return pendingRefresh;
+  }
+  
+  /**
+   * Show what changed since the previous load: the header summary and badges on new hires' pins
+   * Pins pick up the badges the next time they're drawn.
+   * @param {Object|null} changes - As returned by BambooChanges.compare(); null when there's nothing to show
+   */
+  function setDirectoryChanges(changes) {
+    directoryChanges = changes;
+    
+    const hiredIds = new Set(changes ? changes.hired.map(person => person.id) : []);
+    BambooMap.setPinBadge(hiredIds.size > 0 ? {
+      matches: emp => hiredIds.has(String(emp.id)),
+      describe: count => `${count} new hire${count !== 1 ? 's' : ''}`
+    } : null);
+    
+    const changesBtn = document.querySelector('.bamboo-map-changes');
+    if (changesBtn) {
+      changesBtn.textContent = BambooChanges.summarize(changes);
+      changesBtn.hidden = !changes;
+    }
+    if (!changes) {
+      BambooChanges.close();
+    }
+  }
+  
+  /**
+   * Hide the changes until the directory changes again
+   */
+  async function dismissChanges() {
+    setDirectoryChanges(null);
+    await BambooCache.saveChanges(null);
+    if (mapInitialized) {
+      await updateMapWithFilters({ replace: true });
+    }
+  }
+  
+  /**
+   * Toggle the panel listing new hires, departures and people who moved or changed roles
+   */
+  function toggleChangesPanel(event) {
+    event.stopPropagation();
+    BambooChanges.toggle(directoryChanges, event.currentTarget, {
+      // People can only be shown once the map is up
+      onSelect: mapInitialized ? showChangedPerson : null,
+      onDismiss: dismissChanges
+    });
+  }
+  
+  /**
+   * Fly to a person from the changes panel
+   */
+  function showChangedPerson(person) {
+    const employee = allEmployeesData.find(emp => String(emp.id) === person.id);
+    if (employee) {
+      findPerson(employee);
+    }
+  }
+  
+  /**
+   * Describe how long ago a time was, e.g. "5 minutes ago"
+   */
+  function formatAge(timestamp) {
+    const minutes = Math.round((Date.now() - timestamp) / 60000);
+    if (minutes < 1) return 'just now';
+    
+    const format = new Intl.RelativeTimeFormat(undefined, { numeric: 'auto' });
+    if (minutes < 60) return format.format(-minutes, 'minute');
+    const hours = Math.round(minutes / 60);
+    if (hours < 24) return format.format(-hours, 'hour');
+    return format.format(-Math.round(hours / 24), 'day');
+  }
+  
+  /**
+   * Remember how many employees the directory has, for the progress of later loads
+   * @param {number} count - Employees fetched
+   * @param {boolean} complete - Whether that's everyone; a partial load only says there are at least that many
+   */
+  function rememberEmployeeCount(count, complete) {
+    if (count === 0 || (!complete && expectedEmployees !== null && count <= expectedEmployees)) return;
+    
+    expectedEmployees = count;
+    BambooCache.saveEmployeeCount(count);
+  }
+  
+  /**
+   * Describe how much of the directory has loaded, e.g. "400 / ~2000 loaded"
+   * The estimate is the size of the directory when it was last loaded.
+   */
+  function formatLoadProgress(loaded) {
+    if (expectedEmployees === null) {
+      return `${loaded} loaded, total not known yet`;
+    }
+    return loaded < expectedEmployees ? `${loaded} / ~${expectedEmployees} loaded` : `${loaded} loaded`;
+  }
+  
+  /**
+   * Show how many employees have loaded so far, in the loading state and the header
+   */
+  function setLoadProgress(loaded) {
+    loadProgress = loaded;
+    
+    const loadingText = mapContainer && mapContainer.querySelector('.bamboo-map-loading-text');
+    if (loadingText) {
+      loadingText.textContent = `Loading employees... ${formatLoadProgress(loaded)}`;
+    }
+    setUpdateStatus();
+  }
+  
+  /**
+   * Show when the employee data was last updated, and whether it's being refreshed
+   * @param {string} [status] - 'idle', 'updating' or 'failed'; keeps the current one and its error when left out
+   * @param {Error} [error] - Why the refresh failed, from BambooApi
+   */
+  function setUpdateStatus(status, error = null) {
+    if (status) {
+      updateStatus = status;
+      updateError = error;
+      loadProgress = null;
+    }
+    
+    const updatedEl = document.querySelector('.bamboo-map-updated');
+    const refreshBtn = document.querySelector('.bamboo-map-refresh');
+    if (!updatedEl || !refreshBtn) return;
+    
+    const age = lastUpdatedAt ? `Updated ${formatAge(lastUpdatedAt)}` : '';
+    if (updateStatus === 'updating') {
+      updatedEl.textContent = loadProgress !== null ? `Updating... ${formatLoadProgress(loadProgress)}` : 'Updating...';
+    } else if (updateStatus === 'failed') {
+      updatedEl.textContent = age ? `${age} · refresh failed` : 'Refresh failed';
+    } else {
+      updatedEl.textContent = age;
+    }
+    const titles = [];
+    if (lastUpdatedAt) titles.push(`Employee data from ${new Date(lastUpdatedAt).toLocaleString()}`);
+    if (updateStatus === 'failed' && updateError) titles.push(updateError.message);
+    updatedEl.title = titles.join('\n');
+    updatedEl.classList.toggle('bamboo-map-updated-failed', updateStatus === 'failed');
+    updatedEl.hidden = !updatedEl.textContent;
+    
+    refreshBtn.disabled = updateStatus === 'updating';
+    refreshBtn.classList.toggle('bamboo-map-refresh-active', updateStatus === 'updating');
+  }
+  
+  /**
+   * Show or hide the banner saying the map only has part of the directory
+   * @param {Error|null} error - Why the rest couldn't be loaded, from BambooApi; null when it's all there
+   */
+  function setIncomplete(error) {
+    incompleteError = error;
+    
+    const banner = document.querySelector('.bamboo-map-banner');
+    if (!banner) return;
+    
+    if (error) {
+      const count = directorySnapshot ? directorySnapshot.employees.length : 0;
+      banner.querySelector('.bamboo-map-banner-text').textContent =
+        `The map is incomplete: only ${count} employee${count !== 1 ? 's' : ''} could be loaded. ${error.message}`;
+    }
+    banner.hidden = !error;
   }
   
   /**
-   * Update the filter result count (both in header stats and filter popup)
+   * Update the header stats for the mapped locations and the not-mapped count
    */
-  function updateFilterCount(employeeCount, locationCount) {
+  function updateFilterCount(locationsArray) {
+    const employeeCount = locationsArray.reduce((sum, loc) => sum + loc.employees.length, 0);
+    
     // Update header stats
     const statsEl = document.querySelector('.bamboo-map-stats');
     if (statsEl) {
-      statsEl.textContent = `${employeeCount} employees · ${locationCount} locations`;
+      statsEl.textContent = `${employeeCount} employees · ${locationsArray.length} locations`;
     }
+    
+    updateReviewCount();
+  }
+  
+  /**
+   * Update the header link for employees whose location couldn't be geocoded,
+   * only matched approximately, or could refer to more than one place
+   */
+  function updateReviewCount() {
+    const reviewEl = document.querySelector('.bamboo-map-unmatched');
+    if (!reviewEl) return;
+    
+    let unmatchedCount = 0;
+    unmatchedLocations.forEach(list => { unmatchedCount += list.length; });
+    let uncertainCount = 0;
+    uncertainLocations.forEach(entry => { uncertainCount += entry.employees.length; });
+    let ambiguousCount = 0;
+    ambiguousLocations.forEach(entry => { ambiguousCount += entry.employees.length; });
+    
+    const labels = [];
+    if (unmatchedCount > 0) {
+      labels.push(`${unmatchedCount} employee${unmatchedCount !== 1 ? 's' : ''} not mapped`);
+    }
+    if (uncertainCount > 0) {
+      labels.push(`${uncertainCount} uncertain`);
+    }
+    if (ambiguousCount > 0) {
+      labels.push(`${ambiguousCount} ambiguous`);
+    }
+    
+    reviewEl.textContent = labels.join(' · ');
+    reviewEl.hidden = labels.length === 0;
+    
+    if (labels.length === 0) {
+      BambooReview.close();
+    }
+  }
+  
+  /**
+   * Toggle the review panel listing unresolved, approximately matched and ambiguous location strings
+   */
+  function toggleReviewPanel(event) {
+    event.stopPropagation();
+    BambooReview.toggle({
+      unmatched: Array.from(unmatchedLocations, ([location, list]) => ({ location, employees: list })),
+      uncertain: Array.from(uncertainLocations, ([location, entry]) => ({ location, ...entry })),
+      ambiguous: Array.from(ambiguousLocations, ([location, entry]) => ({ location, ...entry }))
+    }, event.currentTarget);
+  }
+  
+  /**
+   * Open the meeting planner for everyone currently on the map (the filter result)
+   */
+  function planMeetingForMap(event) {
+    event.stopPropagation();
+    BambooPlanner.show(Array.from(locationGroups.values()).flatMap(group =>
+      group.employees.map(emp => ({
+        name: `${emp.firstName} ${emp.lastName}`.trim(),
+        location: group.name,
+        timeZone: group.timeZone
+      }))
+    ));
+  }
+  
+  /**
+   * Download the filtered employees with their resolved locations
+   * @param {string} format - 'csv', 'json' or 'geojson'
+   */
+  async function exportEmployees(format) {
+    const filtered = filterEmployees();
+    const geocoded = await BambooGeocoder.geocodeBatch(filtered.map(emp => emp.location), {
+      groups: getOrganizationContext()
+    });
+    BambooExport.download(format, filtered, geocoded);
+  }
+  
+  /**
+   * Wire up the header export menu
+   */
+  function setupExportMenu(exportWrapper) {
+    const toggle = exportWrapper.querySelector('.bamboo-export-toggle');
+    const menu = exportWrapper.querySelector('.bamboo-export-menu');
+    
+    function setOpen(open) {
+      menu.hidden = !open;
+      toggle.setAttribute('aria-expanded', String(open));
+    }
+    
+    toggle.addEventListener('click', (e) => {
+      e.stopPropagation();
+      setOpen(menu.hidden);
+    });
+    
+    menu.addEventListener('click', (e) => {
+      const option = e.target.closest('.bamboo-export-option');
+      if (!option) return;
+      setOpen(false);
+      exportEmployees(option.dataset.format);
+    });
+    
+    // Close on click outside
+    document.addEventListener('click', (e) => {
+      if (!exportWrapper.contains(e.target)) {
+        setOpen(false);
+      }
+    });
+  }
+  
+  /**
+   * Title and a description of the active filters for exported map images
+   */
+  function getImageCaption() {
+    const filters = [];
+    if (currentFilters.name) {
+      filters.push(`Name contains "${currentFilters.name}"`);
+    }
+    facets.forEach(facet => {
+      const { values, exclude } = currentFilters[facet.name];
+      if (values.length > 0) {
+        filters.push(`${facet.label}: ${exclude ? 'all except ' : ''}${values.join(', ')}`);
+      }
+    });
+    
+    const locationsArray = Array.from(locationGroups.values());
+    const employeeCount = locationsArray.reduce((sum, loc) => sum + loc.employees.length, 0);
+    
+    return {
+      title: `Employee Map · ${new Date().toLocaleDateString()}`,
+      subtitle: [
+        filters.length > 0 ? filters.join(' · ') : 'All employees',
+        `${employeeCount} employees in ${locationsArray.length} locations`
+      ].join(' · ')
+    };
   }
   
   /**
@@ -285,21 +1188,10 @@
           <div class="bamboo-filter-row">
             <input type="text" class="bamboo-filter-input" placeholder="Search by name..." data-filter="name">
           </div>
-          <div class="bamboo-filter-row">
-            <select class="bamboo-filter-select" data-filter="jobTitle">
-              <option value="">All Job Titles</option>
-            </select>
-          </div>
-          <div class="bamboo-filter-row">
-            <select class="bamboo-filter-select" data-filter="department">
-              <option value="">All Departments</option>
-            </select>
-          </div>
-          <div class="bamboo-filter-row">
-            <select class="bamboo-filter-select" data-filter="division">
-              <option value="">All Divisions</option>
-            </select>
-          </div>
+          <div class="bamboo-filter-facets"></div>
+          <details class="bamboo-filter-fields">
+            <summary>Choose fields...</summary>
+          </details>
           <button class="bamboo-filter-reset">Reset Filters</button>
         </div>
       </div>
@@ -307,8 +1199,14 @@
     
     headerElement.appendChild(filterWrapper);
     
-    // Initial population of dropdowns
-    updateFilterDropdowns();
+    // One multi-select facet per chosen field
+    renderFacetControls();
+    
+    // Which directory fields appear as facets and in the employee popup
+    renderFieldChooser();
+    
+    // What opening a pin does to BambooHR's own directory list
+    filterWrapper.querySelector('.bamboo-filter-fields').after(BambooDirectory.createModeControl());
     
     const popup = filterWrapper.querySelector('.bamboo-filter-popup');
     
@@ -329,15 +1227,19 @@
       popup.classList.toggle('bamboo-filter-popup-open');
     });
     
-    // Close button
-    filterWrapper.querySelector('.bamboo-filter-close').addEventListener('click', () => {
+    // Close the popup and any open facet
+    function closePopup() {
       popup.classList.remove('bamboo-filter-popup-open');
-    });
+      facetControls.forEach(control => control.close());
+    }
+    
+    // Close button
+    filterWrapper.querySelector('.bamboo-filter-close').addEventListener('click', closePopup);
     
     // Close on click outside
     document.addEventListener('click', (e) => {
       if (!filterWrapper.contains(e.target)) {
-        popup.classList.remove('bamboo-filter-popup-open');
+        closePopup();
       }
     });
     
@@ -347,30 +1249,39 @@
       updateMapWithFilters();
     });
     
-    filterWrapper.querySelectorAll('select').forEach(select => {
-      select.addEventListener('change', (e) => {
-        currentFilters[e.target.dataset.filter] = e.target.value;
-        updateMapWithFilters();
-      });
-    });
-    
     filterWrapper.querySelector('.bamboo-filter-reset').addEventListener('click', () => {
-      currentFilters = { name: '', jobTitle: '', department: '', division: '' };
+      currentFilters = createEmptyFilters();
       filterWrapper.querySelector('input[data-filter="name"]').value = '';
       updateFilterDropdowns();
       updateMapWithFilters();
     });
   }
   
+  /**
+   * Fill the "Choose fields..." section of the filter panel for the directory's fields
+   */
+  function renderFieldChooser() {
+    const section = document.querySelector('.bamboo-filter-fields');
+    if (!section) return;
+    
+    const previous = section.querySelector('.bamboo-fields');
+    if (previous) previous.remove();
+    
+    section.appendChild(BambooFields.createChooser(directoryFields, fieldPreferences, (preferences) => {
+      BambooFields.savePreferences(preferences);
+      setFieldPreferences(preferences);
+      updateMapWithFilters();
+    }));
+  }
+  
   /**
    * Get active filter count
    */
   function getActiveFilterCount() {
-    let count = 0;
-    if (currentFilters.name) count++;
-    if (currentFilters.jobTitle) count++;
-    if (currentFilters.department) count++;
-    if (currentFilters.division) count++;
+    let count = currentFilters.name ? 1 : 0;
+    facets.forEach(facet => {
+      if (currentFilters[facet.name].values.length > 0) count++;
+    });
     return count;
   }
   
@@ -410,7 +1321,21 @@
         <span class="bamboo-map-title">Employee Map</span>
         <div class="bamboo-filter-placeholder"></div>
         <span class="bamboo-map-stats"></span>
+        <span class="bamboo-map-updated" aria-live="polite" hidden></span>
+        <button class="bamboo-map-refresh" title="Refresh employee data" aria-label="Refresh employee data">⟳</button>
+        <button class="bamboo-map-changes" title="See who joined, left, moved or changed roles since the previous visit" hidden></button>
+        <button class="bamboo-map-plan" title="Find a meeting time for the employees on the map">Plan meeting</button>
+        <div class="bamboo-export">
+          <button class="bamboo-export-toggle" title="Download the filtered employees" aria-haspopup="true" aria-expanded="false">Export</button>
+          <ul class="bamboo-export-menu" hidden>
+            <li><button class="bamboo-export-option" data-format="csv">CSV (spreadsheets)</button></li>
+            <li><button class="bamboo-export-option" data-format="json">JSON</button></li>
+            <li><button class="bamboo-export-option" data-format="geojson">GeoJSON (GIS tools)</button></li>
+          </ul>
+        </div>
+        <button class="bamboo-map-unmatched" title="Review locations that couldn't be mapped or only matched approximately" hidden></button>
       </div>
+      <div class="bamboo-search-placeholder"></div>
       <button class="bamboo-map-toggle" aria-label="Toggle map">
         <svg class="bamboo-map-toggle-icon" viewBox="0 0 24 24" width="20" height="20" fill="currentColor">
           <path d="M7.41 8.59L12 13.17l4.59-4.58L18 10l-6 6-6-6 1.41-1.41z"/>
@@ -418,20 +1343,25 @@
       </button>
     `;
     
+    // Banner for a map that only has part of the directory
+    const banner = document.createElement('div');
+    banner.className = 'bamboo-map-banner';
+    banner.setAttribute('role', 'status');
+    banner.hidden = true;
+    banner.innerHTML = `
+      <span class="bamboo-map-banner-text"></span>
+      <button class="bamboo-map-banner-retry">Retry</button>
+    `;
+    banner.querySelector('.bamboo-map-banner-retry').addEventListener('click', () => refreshDirectory());
+    
     // Create map container
     mapContainer = document.createElement('div');
     mapContainer.className = 'bamboo-map-container';
     mapContainer.style.height = `${MAP_HEIGHT}px`;
-    
-    // Add loading state
-    mapContainer.innerHTML = `
-      <div class="bamboo-map-loading">
-        <div class="bamboo-map-spinner"></div>
-        <span>Loading map...</span>
-      </div>
-    `;
+    showLoading();
     
     wrapper.appendChild(header);
+    wrapper.appendChild(banner);
     wrapper.appendChild(mapContainer);
     
     // Insert at the top of the content area
@@ -445,6 +1375,19 @@
     const toggleBtn = header.querySelector('.bamboo-map-toggle');
     toggleBtn.addEventListener('click', toggleMap);
     
+    header.querySelector('.bamboo-map-unmatched').addEventListener('click', toggleReviewPanel);
+    header.querySelector('.bamboo-map-plan').addEventListener('click', planMeetingForMap);
+    // Before anything could be loaded, refreshing is another try at the first load
+    header.querySelector('.bamboo-map-refresh').addEventListener('click', () => {
+      if (directorySnapshot) {
+        refreshDirectory();
+      } else {
+        retryLoad();
+      }
+    });
+    header.querySelector('.bamboo-map-changes').addEventListener('click', toggleChangesPanel);
+    setupExportMenu(header.querySelector('.bamboo-export'));
+    
     // Check saved state
     const isCollapsed = localStorage.getItem(STORAGE_KEY) === 'true';
     if (isCollapsed) {
@@ -454,6 +1397,42 @@
     return { wrapper, mapContainer, header };
   }
   
+  /**
+   * Show the loading state in the map container
+   */
+  function showLoading() {
+    mapContainer.innerHTML = `
+      <div class="bamboo-map-loading">
+        <div class="bamboo-map-spinner"></div>
+        <span class="bamboo-map-loading-text" aria-live="polite">Loading map...</span>
+      </div>
+    `;
+  }
+  
+  /**
+   * Say why the directory couldn't be loaded, with a way to try again
+   * @param {Error|null} error - From BambooApi; null when the directory loaded but was empty
+   */
+  function showLoadError(error) {
+    mapContainer.innerHTML = `
+      <div class="bamboo-map-error" role="alert">
+        <span class="bamboo-map-error-text"></span>
+        <button class="bamboo-map-error-retry"></button>
+      </div>
+    `;
+    mapContainer.querySelector('.bamboo-map-error-text').textContent = error ? error.message : 'No employee data available';
+    
+    // Logging in again takes a page load
+    const retryBtn = mapContainer.querySelector('.bamboo-map-error-retry');
+    if (error && error.kind === 'auth') {
+      retryBtn.textContent = 'Reload page';
+      retryBtn.addEventListener('click', () => window.location.reload());
+    } else {
+      retryBtn.textContent = 'Try again';
+      retryBtn.addEventListener('click', retryLoad);
+    }
+  }
+  
   /**
    * Toggle map visibility
    */
@@ -487,11 +1466,45 @@
       // Initialize the D3 map
       await BambooMap.init(mapContainer, {
         height: MAP_HEIGHT,
-        onPinClick: (data, event) => {
-          BambooPopup.show(data, event);
-        }
+        mode: initialMode,
+        onPinClick: openPopup,
+        timeZones: localStorage.getItem(TIMEZONES_STORAGE_KEY) === 'true',
+        listView: localStorage.getItem(LIST_VIEW_STORAGE_KEY) === 'true',
+        onModeChange: (mode) => {
+          localStorage.setItem(MODE_STORAGE_KEY, mode);
+          recordView();
+        },
+        onViewChange: () => recordView(),
+        onTimeZonesChange: (visible) => {
+          localStorage.setItem(TIMEZONES_STORAGE_KEY, visible);
+        },
+        onListViewChange: (visible) => {
+          localStorage.setItem(LIST_VIEW_STORAGE_KEY, visible);
+          BambooListView.setVisible(visible);
+        },
+        getImageCaption
       });
       
+      // Table of the map's locations, in place of the map when switched on
+      BambooListView.init(mapContainer, { onOpen: openPopup });
+      BambooListView.setVisible(localStorage.getItem(LIST_VIEW_STORAGE_KEY) === 'true');
+      BambooColorBy.init(mapContainer, {
+        onFieldChange: setColorField,
+        onToggle: setCategoriesVisible
+      });
+      
+      // Keep the native directory list and the map in step
+      BambooDirectory.init({
+        onRowEnter: highlightEmployeePin,
+        onRowLeave: () => BambooMap.highlightPin(null)
+      });
+      
+      // People search on the right of the header
+      const searchPlaceholder = document.querySelector('.bamboo-search-placeholder');
+      if (searchPlaceholder) {
+        BambooSearch.init(searchPlaceholder, { onSelect: findPerson });
+      }
+      
       // Add filter controls to header (next to stats)
       const filterPlaceholder = document.querySelector('.bamboo-filter-placeholder');
       if (filterPlaceholder) {
@@ -500,13 +1513,21 @@
       
       // Render pins
       const locationsArray = Array.from(locationGroups.values());
+      updatePinColors();
       BambooMap.renderPins(locationsArray);
+      BambooMap.setCountryCounts(countryCounts);
+      BambooListView.render(locationsArray);
       
       // Update stats
-      const totalEmployees = locationsArray.reduce((sum, loc) => sum + loc.employees.length, 0);
-      updateFilterCount(totalEmployees, locationsArray.length);
+      updateFilterCount(locationsArray);
       
       mapInitialized = true;
+      
+      // Reproduce the view from a shared link
+      const linkedState = BambooViewState.parse(window.location.hash);
+      if (linkedState) {
+        await applyViewState(linkedState);
+      }
     } catch (error) {
       mapContainer.innerHTML = `
         <div class="bamboo-map-error">
@@ -517,47 +1538,65 @@
   }
   
   /**
-   * Main initialization
+   * Fetch the directory for the first time, showing progress as it loads
+   * A partial directory is shown with a banner; with nobody loaded, the map says why.
+   * @returns {Promise<boolean>} - Whether there's a directory to show
    */
-  async function init() {
-    if (!isDirectoryPage()) {
-      return;
-    }
-    
-    // Create UI
-    createMapUI();
-    
-    // Fetch employee data
-    const rawEmployees = await fetchEmployees();
+  async function loadDirectory() {
+    setUpdateStatus('updating');
+    const { employees: rawEmployees, fields, complete, error } = await fetchEmployees(setLoadProgress);
+    rememberEmployeeCount(rawEmployees.length, complete);
     
     if (rawEmployees.length === 0) {
-      mapContainer.innerHTML = `
-        <div class="bamboo-map-error">
-          <span>No employee data available</span>
-        </div>
-      `;
-      return;
+      setUpdateStatus('failed', error);
+      showLoadError(error);
+      return false;
     }
     
-    // Process and store employee data for filtering
-    allEmployeesData = processEmployeeData(rawEmployees);
-    employees = allEmployeesData;
+    await setDirectory(rawEmployees, fields);
+    // Part of a directory isn't worth keeping for next time
+    if (complete) {
+      await saveDirectory();
+    }
+    setIncomplete(error);
+    setUpdateStatus(complete ? 'idle' : 'failed', error);
+    return true;
+  }
+  
+  /**
+   * Try the first load again after it failed, and show the map if it works this time
+   */
+  async function retryLoad() {
+    if (updateStatus === 'updating') return;
     
-    // Initialize geocoder
-    await BambooGeocoder.init();
+    showLoading();
+    if (await loadDirectory()) {
+      await startMap();
+    }
+  }
+  
+  /**
+   * Show the map for the loaded directory, or wait until it's expanded
+   */
+  async function startMap() {
+    setInterval(() => setUpdateStatus(), UPDATED_INTERVAL);
     
-    // Group employees by location
-    locationGroups = await groupEmployeesByLocation(allEmployeesData);
+    // Links to a view open the map even when it's collapsed
+    initialMode = localStorage.getItem(MODE_STORAGE_KEY) || 'pins';
+    BambooViewState.onNavigate(state => {
+      if (mapInitialized) applyViewState(state);
+    });
+    if (BambooViewState.parse(window.location.hash)) {
+      document.querySelector('.bamboo-map-wrapper').classList.remove('bamboo-map-collapsed');
+    }
     
     // Initialize map if not collapsed
-    const isCollapsed = localStorage.getItem(STORAGE_KEY) === 'true';
+    const isCollapsed = document.querySelector('.bamboo-map-wrapper').classList.contains('bamboo-map-collapsed');
     if (!isCollapsed) {
       await initializeMap();
     } else {
       // Update stats even when collapsed
-      const locationsArray = Array.from(locationGroups.values());
-      const totalEmployees = locationsArray.reduce((sum, loc) => sum + loc.employees.length, 0);
-      updateStats(totalEmployees, locationsArray.length);
+      updateFilterCount(Array.from(locationGroups.values()));
       
       // Initialize map when expanded
       const wrapper = document.querySelector('.bamboo-map-wrapper');
@@ -575,6 +1614,43 @@
     }
   }
   
+  /**
+   * Main initialization
+   */
+  async function init() {
+    if (!isDirectoryPage()) {
+      return;
+    }
+    
+    // Create UI
+    createMapUI();
+    
+    // Initialize geocoder and time zone lookup
+    await BambooGeocoder.init();
+    await BambooTimeZones.init();
+    BambooGeocoder.onOverridesChanged(refreshLocations);
+    
+    // Show the directory from the last visit right away, or fetch it the first time
+    expectedEmployees = await BambooCache.loadEmployeeCount();
+    const cached = await BambooCache.load();
+    if (cached) {
+      BambooGeocoder.importCache(cached.geocodes);
+      setDirectoryChanges(BambooChanges.restore(cached.changes));
+      const fields = BambooFields.sanitize(cached.fields);
+      await setDirectory(sanitizeCachedEmployees(cached.employees, fields), fields);
+      lastUpdatedAt = cached.savedAt;
+      setUpdateStatus('idle');
+    } else if (!(await loadDirectory())) {
+      return;
+    }
+    await startMap();
+    
+    // Bring the cached directory up to date without holding up the map
+    if (cached) {
+      refreshDirectory();
+    }
+  }
+  
   // Wait for DOM to be ready
   if (document.readyState === 'loading') {
     document.addEventListener('DOMContentLoaded', init);
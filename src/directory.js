@@ -0,0 +1,240 @@
+/**
+ * Native directory sync for BambooHR Map
+ * Finds the rows of BambooHR's own directory list by their profile links,
+ * highlights or filters them for the open pin, and reports which person's
+ * row is hovered. A MutationObserver keeps this working when BambooHR
+ * re-renders the list.
+ */
+
+const BambooDirectory = (function() {
+  const STORAGE_KEY = 'bamboo-map-directory-sync';
+  const MODES = ['highlight', 'filter', 'off'];
+  const PROFILE_LINK = 'a[href*="employee.php"]';
+  const REINDEX_DELAY = 150;
+  const MAP_ID = 'bamboo-employee-map';
+  
+  // Everything the extension adds to the page, so our own changes don't trigger a re-index
+  const OWN_ELEMENTS = `#${MAP_ID}, .bamboo-popup, .bamboo-map-tooltip, .bamboo-planner, .bamboo-review, .bamboo-changes`;
+  
+  // Marks an element that links to more than one person
+  const MIXED = {};
+  
+  let rowsById = new Map();
+  let shownIds = null;
+  let hoveredRow = null;
+  let observer = null;
+  let reindexTimer = null;
+  let callbacks = {};
+  let mode = MODES.includes(localStorage.getItem(STORAGE_KEY)) ? localStorage.getItem(STORAGE_KEY) : 'highlight';
+  
+  /**
+   * Read the employee id from a profile link, e.g. /employees/employee.php?id=123
+   */
+  function getEmployeeId(link) {
+    try {
+      const id = new URL(link.getAttribute('href'), window.location.href).searchParams.get('id');
+      return id && /^\d+$/.test(id) ? id : null;
+    } catch {
+      return null;
+    }
+  }
+  
+  /**
+   * Check if a node belongs to the extension rather than the page
+   */
+  function isOwn(node) {
+    const element = node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+    return Boolean(element && element.closest(OWN_ELEMENTS));
+  }
+  
+  /**
+   * Record who each ancestor of the profile links links to, below the container
+   * Walking stops at ancestors that already have the answer, so this is linear in the page size.
+   * @returns {Map<Element, string|null|Object>} - Element to the one employee id it links to, or MIXED
+   */
+  function getLinkOwners(links, container) {
+    const owners = new Map();
+    links.forEach(link => {
+      const id = getEmployeeId(link);
+      for (let element = link.parentElement; element && element !== container; element = element.parentElement) {
+        const owner = owners.get(element);
+        if (owner === MIXED || owner === id) break;
+        owners.set(element, owner === undefined ? id : MIXED);
+      }
+    });
+    return owners;
+  }
+  
+  /**
+   * Find the row for a profile link: its largest ancestor that links to no one else,
+   * below the container and never around the map
+   */
+  function findRow(link, id, owners, mapElement) {
+    let row = link;
+    while (row.parentElement && owners.get(row.parentElement) === id &&
+      !(mapElement && row.parentElement.contains(mapElement))) {
+      row = row.parentElement;
+    }
+    return row;
+  }
+  
+  /**
+   * Find every directory row and apply the current highlight or filter to it
+   * The list is looked for in the element the map was added to, so page chrome
+   * such as a lone link to the user's own profile isn't taken for a row.
+   */
+  function indexRows() {
+    rowsById.forEach(rows => rows.forEach(row => {
+      row.removeAttribute('data-bamboo-employee-id');
+      row.classList.remove('bamboo-directory-match', 'bamboo-directory-hidden');
+    }));
+    rowsById = new Map();
+    
+    const mapElement = document.getElementById(MAP_ID);
+    const container = (mapElement && mapElement.parentElement) || document.body;
+    const links = Array.from(container.querySelectorAll(PROFILE_LINK)).filter(link => !isOwn(link));
+    const owners = getLinkOwners(links, container);
+    
+    links.forEach(link => {
+      const id = getEmployeeId(link);
+      if (!id) return;
+      
+      const row = findRow(link, id, owners, mapElement);
+      row.setAttribute('data-bamboo-employee-id', id);
+      if (!rowsById.has(id)) {
+        rowsById.set(id, new Set());
+      }
+      rowsById.get(id).add(row);
+    });
+    
+    applyRows();
+  }
+  
+  /**
+   * Highlight or filter rows for the employees of the open pin
+   */
+  function applyRows() {
+    rowsById.forEach((rows, id) => {
+      const match = shownIds !== null && shownIds.has(id);
+      rows.forEach(row => {
+        row.classList.toggle('bamboo-directory-match', mode === 'highlight' && match);
+        row.classList.toggle('bamboo-directory-hidden', mode === 'filter' && shownIds !== null && !match);
+      });
+    });
+  }
+  
+  /**
+   * Re-index once BambooHR has finished re-rendering the list
+   */
+  function handleMutations(mutations) {
+    const changed = mutations.some(mutation => {
+      const nodes = [...mutation.addedNodes, ...mutation.removedNodes];
+      return !isOwn(mutation.target) && !(nodes.length > 0 && nodes.every(isOwn));
+    });
+    if (!changed) return;
+    
+    clearTimeout(reindexTimer);
+    reindexTimer = setTimeout(indexRows, REINDEX_DELAY);
+  }
+  
+  /**
+   * Report the person whose row the pointer moves onto or off
+   */
+  function handlePointer(event) {
+    const row = event.target.closest ? event.target.closest('[data-bamboo-employee-id]') : null;
+    if (row === hoveredRow) return;
+    
+    if (hoveredRow && callbacks.onRowLeave) {
+      callbacks.onRowLeave(hoveredRow.getAttribute('data-bamboo-employee-id'));
+    }
+    hoveredRow = row;
+    if (row && callbacks.onRowEnter) {
+      callbacks.onRowEnter(row.getAttribute('data-bamboo-employee-id'));
+    }
+  }
+  
+  /**
+   * Start watching the directory list
+   * @param {Object} options - {onRowEnter, onRowLeave: called with the employee id of a hovered row}
+   */
+  function init(options = {}) {
+    callbacks = options;
+    indexRows();
+    
+    observer = new MutationObserver(handleMutations);
+    observer.observe(document.body, { childList: true, subtree: true });
+    document.addEventListener('mouseover', handlePointer);
+  }
+  
+  /**
+   * Highlight or filter the rows of these employees, or clear that for null
+   * @param {Array<string>|null} ids - Employee ids of the open pin
+   */
+  function showEmployees(ids) {
+    shownIds = ids ? new Set(ids.map(String)) : null;
+    applyRows();
+  }
+  
+  /**
+   * Choose what opening a pin does to the directory list
+   * @param {string} newMode - 'highlight', 'filter' or 'off'
+   */
+  function setMode(newMode) {
+    mode = MODES.includes(newMode) ? newMode : 'highlight';
+    localStorage.setItem(STORAGE_KEY, mode);
+    applyRows();
+  }
+  
+  /**
+   * Create a select for the sync mode, e.g. for the filter panel
+   */
+  function createModeControl() {
+    const label = document.createElement('label');
+    label.className = 'bamboo-directory-mode';
+    label.innerHTML = `
+      Directory list
+      <select class="bamboo-directory-mode-select">
+        <option value="highlight">Highlight the open pin's people</option>
+        <option value="filter">Show only the open pin's people</option>
+        <option value="off">Leave as is</option>
+      </select>
+    `;
+    
+    const select = label.querySelector('select');
+    select.value = mode;
+    select.addEventListener('change', () => setMode(select.value));
+    return label;
+  }
+  
+  /**
+   * Stop watching the directory list and undo changes to it
+   */
+  function destroy() {
+    if (observer) {
+      observer.disconnect();
+      observer = null;
+    }
+    clearTimeout(reindexTimer);
+    document.removeEventListener('mouseover', handlePointer);
+    shownIds = null;
+    applyRows();
+    rowsById.forEach(rows => rows.forEach(row => row.removeAttribute('data-bamboo-employee-id')));
+    rowsById = new Map();
+    hoveredRow = null;
+  }
+  
+  // Public API
+  return {
+    init,
+    showEmployees,
+    setMode,
+    getMode: () => mode,
+    createModeControl,
+    destroy
+  };
+})();
+
+// Export for use in other scripts
+if (typeof window !== 'undefined') {
+  window.BambooDirectory = BambooDirectory;
+}
@@ -0,0 +1,328 @@
+/**
+ * Data export for BambooHR Map
+ * Turns employees and their geocoded locations into CSV, JSON or GeoJSON
+ * downloads, and the map view into standalone SVG or PNG images
+ */
+
+const BambooExport = (function() {
+  const FORMATS = {
+    csv: { extension: 'csv', mimeType: 'text/csv;charset=utf-8' },
+    json: { extension: 'json', mimeType: 'application/json' },
+    geojson: { extension: 'geojson', mimeType: 'application/geo+json' }
+  };
+  
+  // Column order for CSV; JSON records use the same keys
+  const COLUMNS = [
+    'id', 'firstName', 'lastName', 'jobTitle', 'department', 'division',
+    'location', 'latitude', 'longitude', 'resolvedName', 'resolvedDisplayName', 'matchLevel', 'countryCode'
+  ];
+  
+  // Computed styles copied onto each element of an exported map, so the image
+  // looks the same without the extension's stylesheet
+  const SVG_STYLE_PROPERTIES = [
+    'fill', 'fill-opacity', 'stroke', 'stroke-width', 'stroke-opacity', 'stroke-dasharray',
+    'stroke-linecap', 'stroke-linejoin', 'opacity', 'vector-effect', 'paint-order',
+    'font-family', 'font-size', 'font-weight', 'text-anchor', 'dominant-baseline'
+  ];
+  
+  const CAPTION_HEIGHT = 56;
+  const LEGEND_CATEGORIES = 6;
+  const SVG_NS = 'http://www.w3.org/2000/svg';
+  
+  /**
+   * Build one flat record per employee
+   * @param {Array} employees - Employees to export
+   * @param {Map<string, Object>} geocoded - Raw location string to geocoder result
+   * @returns {Array<Object>} - Records keyed by COLUMNS; location fields are null when unresolved
+   */
+  function toRecords(employees, geocoded) {
+    return employees.map(emp => {
+      const match = geocoded.get(emp.location) || null;
+      return {
+        id: emp.id,
+        firstName: emp.firstName,
+        lastName: emp.lastName,
+        jobTitle: emp.jobTitle,
+        department: emp.department,
+        division: emp.division,
+        location: emp.location,
+        latitude: match ? match.lat : null,
+        longitude: match ? match.lng : null,
+        resolvedName: match ? match.name : null,
+        resolvedDisplayName: match ? match.displayName : null,
+        matchLevel: match ? match.level : null,
+        countryCode: match ? (match.countryCode || null) : null
+      };
+    });
+  }
+  
+  /**
+   * Quote a CSV cell when needed
+   * Text starting with a formula character is prefixed with an apostrophe so
+   * spreadsheets don't evaluate names like "=HYPERLINK(...)".
+   */
+  function toCsvCell(value) {
+    if (value === null || value === undefined) return '';
+    if (typeof value === 'number') return String(value);
+    
+    let text = String(value);
+    if (/^[=+\-@\t\r]/.test(text)) {
+      text = `'${text}`;
+    }
+    if (/[",\n\r]/.test(text)) {
+      text = `"${text.replace(/"/g, '""')}"`;
+    }
+    return text;
+  }
+  
+  /**
+   * Serialize records as CSV with a header row
+   */
+  function toCsv(records) {
+    const lines = [COLUMNS.join(',')];
+    records.forEach(record => {
+      lines.push(COLUMNS.map(column => toCsvCell(record[column])).join(','));
+    });
+    // Byte order mark, so Excel reads accented names as UTF-8
+    return '\ufeff' + lines.join('\r\n') + '\r\n';
+  }
+  
+  /**
+   * Serialize records as a GeoJSON FeatureCollection
+   * Employees whose location couldn't be resolved keep a null geometry.
+   */
+  function toGeoJson(records) {
+    return {
+      type: 'FeatureCollection',
+      features: records.map(({ latitude, longitude, ...properties }) => ({
+        type: 'Feature',
+        geometry: latitude === null ? null : { type: 'Point', coordinates: [longitude, latitude] },
+        properties
+      }))
+    };
+  }
+  
+  /**
+   * Serialize records in an export format
+   */
+  function serialize(format, records) {
+    if (format === 'csv') return toCsv(records);
+    if (format === 'geojson') return JSON.stringify(toGeoJson(records), null, 2);
+    return JSON.stringify(records, null, 2);
+  }
+  
+  /**
+   * Save text or a blob as a file through a temporary download link
+   */
+  function saveFile(content, filename, mimeType) {
+    const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  }
+  
+  /**
+   * Create an SVG element with attributes
+   */
+  function createSvgElement(name, attributes = {}) {
+    const element = document.createElementNS(SVG_NS, name);
+    Object.entries(attributes).forEach(([key, value]) => element.setAttribute(key, value));
+    return element;
+  }
+  
+  /**
+   * Copy computed styles from the live map onto its clone, dropping hidden elements
+   * Both trees have the same shape, so they're walked side by side.
+   */
+  function inlineStyles(source, clone) {
+    const computed = getComputedStyle(source);
+    if (computed.display === 'none' || computed.visibility === 'hidden' || source.getAttribute('display') === 'none') {
+      clone.remove();
+      return;
+    }
+    
+    const declarations = SVG_STYLE_PROPERTIES
+      .map(property => [property, computed.getPropertyValue(property)])
+      .filter(([, value]) => value && value !== 'normal' && value !== 'auto')
+      .map(([property, value]) => `${property}: ${value}`);
+    if (declarations.length > 0) {
+      clone.setAttribute('style', declarations.join('; '));
+    }
+    clone.removeAttribute('class');
+    
+    const sourceChildren = Array.from(source.children);
+    const cloneChildren = Array.from(clone.children);
+    sourceChildren.forEach((child, i) => inlineStyles(child, cloneChildren[i]));
+  }
+  
+  /**
+   * Read a color from the map's CSS variables
+   */
+  function getThemeColor(name, fallback) {
+    return getComputedStyle(document.documentElement).getPropertyValue(`--bamboo-map-${name}`).trim() || fallback;
+  }
+  
+  /**
+   * Draw the title, the active filters and a legend below the map
+   * @param {SVGElement} root - Exported SVG
+   * @param {Object} caption - {title, subtitle, legend}; legend is {title, stops, min, max}
+   *   for a color scale, {title, categories: [{label, color}]} for colored pins, or {title} for a pin symbol
+   */
+  function addCaption(root, caption, width, height) {
+    const text = getThemeColor('text', '#1e293b');
+    const muted = getThemeColor('text-muted', '#64748b');
+    
+    const group = createSvgElement('g', { transform: `translate(0, ${height})` });
+    group.style.fontFamily = caption.fontFamily || '';
+    group.appendChild(createSvgElement('rect', {
+      width, height: CAPTION_HEIGHT, fill: getThemeColor('header-bg', '#ffffff')
+    }));
+    
+    const title = createSvgElement('text', { x: 16, y: 24, 'font-size': 15, 'font-weight': 600, fill: text });
+    title.textContent = caption.title || '';
+    const subtitle = createSvgElement('text', { x: 16, y: 44, 'font-size': 12, fill: muted });
+    subtitle.textContent = caption.subtitle || '';
+    group.append(title, subtitle);
+    
+    const legend = caption.legend;
+    const x = width - 176;
+    if (legend && legend.stops) {
+      // Color scale: gradient bar with its range
+      const gradient = createSvgElement('linearGradient', { id: 'bamboo-export-legend' });
+      legend.stops.forEach((color, i) => {
+        gradient.appendChild(createSvgElement('stop', {
+          offset: `${(i / (legend.stops.length - 1)) * 100}%`,
+          'stop-color': color
+        }));
+      });
+      const defs = createSvgElement('defs');
+      defs.appendChild(gradient);
+      
+      const label = createSvgElement('text', { x, y: 20, 'font-size': 11, 'font-weight': 600, fill: text });
+      label.textContent = legend.title;
+      const min = createSvgElement('text', { x, y: 48, 'font-size': 10, fill: muted });
+      min.textContent = legend.min;
+      const max = createSvgElement('text', { x: x + 160, y: 48, 'font-size': 10, fill: muted, 'text-anchor': 'end' });
+      max.textContent = legend.max;
+      
+      group.append(defs, label, createSvgElement('rect', {
+        x, y: 28, width: 160, height: 8, rx: 4, fill: 'url(#bamboo-export-legend)'
+      }), min, max);
+    } else if (legend && legend.categories) {
+      // Colored pins: a swatch per category, in two columns of three
+      const shown = legend.categories.slice(0, LEGEND_CATEGORIES);
+      const left = width - 16 - Math.ceil(shown.length / 3) * 130;
+      shown.forEach((category, i) => {
+        const cx = left + Math.floor(i / 3) * 130;
+        const cy = 12 + (i % 3) * 15;
+        const label = createSvgElement('text', { x: cx + 10, y: cy + 4, 'font-size': 10, fill: muted });
+        label.textContent = category.label.length > 20 ? `${category.label.slice(0, 19)}…` : category.label;
+        group.append(createSvgElement('circle', { cx: cx + 3, cy, r: 4, fill: category.color }), label);
+      });
+    } else if (legend) {
+      // Pins: a sample pin with what it counts
+      const label = createSvgElement('text', { x: x + 16, y: 32, 'font-size': 11, fill: muted });
+      label.textContent = legend.title;
+      group.append(createSvgElement('circle', {
+        cx: x + 4, cy: 28, r: 6, fill: getThemeColor('pin', '#059669'), stroke: '#ffffff', 'stroke-width': 2
+      }), label);
+    }
+    
+    root.appendChild(group);
+  }
+  
+  /**
+   * Serialize the map as a standalone SVG document
+   * @param {SVGSVGElement} svgElement - The live map
+   * @param {Object} options - {width, height, caption}; caption is drawn below the map when given
+   */
+  function serializeMap(svgElement, { width, height, caption }) {
+    const root = svgElement.cloneNode(true);
+    inlineStyles(svgElement, root);
+    
+    const totalHeight = caption ? height + CAPTION_HEIGHT : height;
+    root.setAttribute('width', width);
+    root.setAttribute('height', totalHeight);
+    root.setAttribute('viewBox', `0 0 ${width} ${totalHeight}`);
+    
+    if (caption) {
+      addCaption(root, { ...caption, fontFamily: getComputedStyle(svgElement).fontFamily }, width, height);
+    }
+    
+    return new XMLSerializer().serializeToString(root);
+  }
+  
+  /**
+   * Rasterize an SVG document to a PNG blob
+   */
+  function rasterize(svgText, width, height, scale) {
+    return new Promise((resolve, reject) => {
+      const url = URL.createObjectURL(new Blob([svgText], { type: 'image/svg+xml;charset=utf-8' }));
+      const image = new Image();
+      image.onload = () => {
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(width * scale);
+        canvas.height = Math.round(height * scale);
+        const context = canvas.getContext('2d');
+        context.scale(scale, scale);
+        context.drawImage(image, 0, 0, width, height);
+        URL.revokeObjectURL(url);
+        canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('PNG encoding failed')), 'image/png');
+      };
+      image.onerror = () => {
+        URL.revokeObjectURL(url);
+        reject(new Error('Map image could not be rendered'));
+      };
+      image.src = url;
+    });
+  }
+  
+  /**
+   * Download the map view as an image
+   * @param {SVGSVGElement} svgElement - The live map, with its current zoom
+   * @param {Object} options - {format: 'svg'|'png', width, height, scale, caption}
+   */
+  async function downloadMapImage(svgElement, { format, width, height, scale = 2, caption = null }) {
+    const svgText = serializeMap(svgElement, { width, height, caption });
+    const date = new Date().toISOString().slice(0, 10);
+    
+    if (format === 'png') {
+      const totalHeight = caption ? height + CAPTION_HEIGHT : height;
+      const blob = await rasterize(svgText, width, totalHeight, scale);
+      saveFile(blob, `employee-map-${date}.png`, 'image/png');
+      return;
+    }
+    saveFile(svgText, `employee-map-${date}.svg`, 'image/svg+xml');
+  }
+  
+  /**
+   * Download employees in an export format
+   * @param {string} format - 'csv', 'json' or 'geojson'
+   * @param {Array} employees - Employees to export
+   * @param {Map<string, Object>} geocoded - Raw location string to geocoder result
+   */
+  function download(format, employees, geocoded) {
+    const type = FORMATS[format] || FORMATS.json;
+    const date = new Date().toISOString().slice(0, 10);
+    saveFile(serialize(format, toRecords(employees, geocoded)), `employees-${date}.${type.extension}`, type.mimeType);
+  }
+  
+  // Public API
+  return {
+    toRecords,
+    serialize,
+    download,
+    serializeMap,
+    downloadMapImage
+  };
+})();
+
+// Export for use in other scripts
+if (typeof window !== 'undefined') {
+  window.BambooExport = BambooExport;
+}
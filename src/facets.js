@@ -0,0 +1,213 @@
+/**
+ * Multi-select filter facets for BambooHR Map
+ * A dropdown of checkboxes with per-option counts, a search box for long
+ * lists and an exclude mode ("all departments except Sales")
+ */
+
+const BambooFacets = (function() {
+  // Show the search box once a facet has more options than this
+  const SEARCH_THRESHOLD = 8;
+  
+  /**
+   * An empty selection, matching everyone
+   */
+  function emptySelection() {
+    return { values: [], exclude: false };
+  }
+  
+  /**
+   * Check if a value passes a facet selection
+   * @param {string} value - The employee's value for the facet's field
+   * @param {Object} selection - {values: string[], exclude: boolean}
+   */
+  function matches(value, selection) {
+    if (!selection || selection.values.length === 0) return true;
+    const selected = selection.values.includes(value);
+    return selection.exclude ? !selected : selected;
+  }
+  
+  /**
+   * Describe a selection in a few words, e.g. "Sales, Marketing" or "Not Sales"
+   * @param {Object} selection - {values, exclude}
+   * @param {string} label - Field name from the directory, e.g. "Department"
+   */
+  function describe(selection, label) {
+    const { values, exclude } = selection;
+    if (values.length === 0) return `Any ${label.toLowerCase()}`;
+    
+    const list = values.length <= 2 ? values.join(', ') : `${label}: ${values.length} selected`;
+    return exclude ? `Not ${list}` : list;
+  }
+  
+  /**
+   * Create a facet control
+   * @param {Object} options - {name: directory field id, label: field name, onChange: called with the new selection}
+   * @returns {{element: HTMLElement, update: Function, close: Function}}
+   */
+  function create({ name, label, onChange }) {
+    let selection = emptySelection();
+    let options = [];
+    
+    const element = document.createElement('div');
+    element.className = 'bamboo-facet';
+    element.dataset.filter = name;
+    element.innerHTML = `
+      <button type="button" class="bamboo-facet-toggle" aria-expanded="false">
+        <span class="bamboo-facet-summary"></span>
+      </button>
+      <div class="bamboo-facet-panel" hidden>
+        <input type="search" class="bamboo-facet-search">
+        <ul class="bamboo-facet-options"></ul>
+        <div class="bamboo-facet-footer">
+          <label class="bamboo-facet-exclude">
+            <input type="checkbox" class="bamboo-facet-exclude-input">
+            Exclude selected
+          </label>
+          <button type="button" class="bamboo-facet-clear">Clear</button>
+        </div>
+      </div>
+    `;
+    
+    const toggle = element.querySelector('.bamboo-facet-toggle');
+    const panel = element.querySelector('.bamboo-facet-panel');
+    const search = element.querySelector('.bamboo-facet-search');
+    const list = element.querySelector('.bamboo-facet-options');
+    const excludeInput = element.querySelector('.bamboo-facet-exclude-input');
+    // Set through the DOM, since field names come from BambooHR
+    search.placeholder = `Search ${label.toLowerCase()}...`;
+    toggle.title = label;
+    
+    /**
+     * Update the toggle text and state
+     */
+    function renderSummary() {
+      element.querySelector('.bamboo-facet-summary').textContent = describe(selection, label);
+      element.classList.toggle('bamboo-facet-active', selection.values.length > 0);
+      element.classList.toggle('bamboo-facet-excluding', selection.exclude && selection.values.length > 0);
+      excludeInput.checked = selection.exclude;
+    }
+    
+    /**
+     * Render the options matching the search text
+     * Built with DOM APIs, since option values come from BambooHR.
+     */
+    function renderOptions() {
+      const query = search.value.trim().toLowerCase();
+      search.hidden = options.length <= SEARCH_THRESHOLD;
+      
+      // Keep keyboard focus on the same option across re-renders
+      const focused = list.contains(document.activeElement) ? document.activeElement.value : null;
+      list.innerHTML = '';
+      
+      const visible = options.filter(option => !query || option.value.toLowerCase().includes(query));
+      visible.forEach(option => {
+        const item = document.createElement('li');
+        const optionLabel = document.createElement('label');
+        optionLabel.className = 'bamboo-facet-option';
+        
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.value = option.value;
+        checkbox.checked = selection.values.includes(option.value);
+        checkbox.addEventListener('change', () => {
+          const values = selection.values.filter(value => value !== option.value);
+          if (checkbox.checked) values.push(option.value);
+          setSelection({ ...selection, values });
+        });
+        
+        const text = document.createElement('span');
+        text.className = 'bamboo-facet-option-label';
+        text.textContent = option.value;
+        
+        const count = document.createElement('span');
+        count.className = 'bamboo-facet-option-count';
+        count.textContent = option.count;
+        
+        optionLabel.append(checkbox, text, count);
+        item.appendChild(optionLabel);
+        list.appendChild(item);
+        
+        if (option.value === focused) {
+          checkbox.focus();
+        }
+      });
+      
+      if (visible.length === 0) {
+        const empty = document.createElement('li');
+        empty.className = 'bamboo-facet-empty';
+        empty.textContent = query ? 'No matches' : 'No options';
+        list.appendChild(empty);
+      }
+    }
+    
+    /**
+     * Change the selection from the UI and notify the owner
+     */
+    function setSelection(newSelection) {
+      selection = newSelection;
+      renderSummary();
+      onChange({ values: [...selection.values], exclude: selection.exclude });
+    }
+    
+    /**
+     * Show or hide the options
+     */
+    function setOpen(open) {
+      panel.hidden = !open;
+      toggle.setAttribute('aria-expanded', String(open));
+      if (open && !search.hidden) {
+        search.focus();
+      }
+    }
+    
+    toggle.addEventListener('click', () => setOpen(panel.hidden));
+    search.addEventListener('input', renderOptions);
+    excludeInput.addEventListener('change', () => {
+      setSelection({ ...selection, exclude: excludeInput.checked });
+    });
+    element.querySelector('.bamboo-facet-clear').addEventListener('click', () => {
+      search.value = '';
+      setSelection(emptySelection());
+      renderOptions();
+    });
+    
+    /**
+     * Show new options and selection, e.g. after another facet changed
+     * Selected values stay listed even when no one matches them any more,
+     * so they can still be unchecked.
+     * @param {Array<{value: string, count: number}>} newOptions - Available options with employee counts
+     * @param {Object} newSelection - {values, exclude}
+     */
+    function update(newOptions, newSelection) {
+      selection = { values: [...newSelection.values], exclude: newSelection.exclude };
+      
+      const available = new Set(newOptions.map(option => option.value));
+      options = [
+        ...newOptions,
+        ...selection.values.filter(value => !available.has(value)).map(value => ({ value, count: 0 }))
+      ].sort((a, b) => a.value.localeCompare(b.value));
+      
+      renderSummary();
+      renderOptions();
+    }
+    
+    return {
+      element,
+      update,
+      close: () => setOpen(false)
+    };
+  }
+  
+  // Public API
+  return {
+    create,
+    emptySelection,
+    matches,
+    describe
+  };
+})();
+
+// Export for use in other scripts
+if (typeof window !== 'undefined') {
+  window.BambooFacets = BambooFacets;
+}
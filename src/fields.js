@@ -0,0 +1,163 @@
+/**
+ * Directory field metadata for BambooHR Map
+ * Reads the fields a company's directory exposes, including custom ones like
+ * "Team", and remembers which of them the user wants as filters and in the
+ * employee list
+ */
+
+const BambooFields = (function() {
+  const STORAGE_KEY = 'bamboo-map-fields';
+  
+  // Used when the directory response doesn't describe its fields
+  const DEFAULT_FIELDS = [
+    { id: 'jobTitle', name: 'Job title', type: 'list' },
+    { id: 'department', name: 'Department', type: 'list' },
+    { id: 'division', name: 'Division', type: 'list' },
+    { id: 'location', name: 'Location', type: 'list' }
+  ];
+  
+  const DEFAULT_PREFERENCES = {
+    facets: ['jobTitle', 'department', 'division'],
+    attributes: ['jobTitle', 'department', 'division']
+  };
+  
+  // Names and the photo are always shown, so they aren't offered as choices;
+  // 'name' is also the key of the name search filter
+  const HIDDEN_FIELDS = ['id', 'name', 'displayName', 'firstName', 'lastName', 'preferredName', 'displayFirstName', 'photoUrl'];
+  
+  // Field ids are used as object keys and URL parameters
+  const VALID_ID = /^[A-Za-z][A-Za-z0-9_.-]{0,63}$/;
+  
+  /**
+   * Validate the `fields` description from the directory response
+   * @param {*} rawFields - e.g. [{id: 'customTeam', name: 'Team', type: 'list'}]
+   * @returns {Array<{id: string, name: string, type: string}>} - DEFAULT_FIELDS when missing or empty
+   */
+  function sanitize(rawFields) {
+    if (!Array.isArray(rawFields)) return DEFAULT_FIELDS;
+    
+    const seen = new Set();
+    const fields = rawFields
+      .filter(field => field && typeof field.id === 'string' && VALID_ID.test(field.id))
+      .filter(field => !seen.has(field.id) && seen.add(field.id))
+      .map(field => ({
+        id: field.id,
+        name: typeof field.name === 'string' && field.name.trim() ? field.name.trim() : field.id,
+        type: typeof field.type === 'string' ? field.type : 'text'
+      }));
+    
+    return fields.length > 0 ? fields : DEFAULT_FIELDS;
+  }
+  
+  /**
+   * Fields the user can pick as filters or list attributes
+   */
+  function getChoosable(fields) {
+    return fields.filter(field => !HIDDEN_FIELDS.includes(field.id));
+  }
+  
+  /**
+   * Read an employee's value for a directory field as a string
+   * Falls back to the built-in property for employees without field values.
+   */
+  function getValue(employee, id) {
+    const hasField = employee.fields && Object.prototype.hasOwnProperty.call(employee.fields, id);
+    const value = hasField ? employee.fields[id] : employee[id];
+    return typeof value === 'string' ? value : '';
+  }
+  
+  /**
+   * Load the chosen facets and attributes, keeping only fields this directory has
+   * @returns {{facets: string[], attributes: string[]}}
+   */
+  function loadPreferences(fields) {
+    let stored = null;
+    try {
+      stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    } catch (error) {
+      // Fall back to the defaults
+    }
+    
+    const available = new Set(getChoosable(fields).map(field => field.id));
+    const pick = (key) => {
+      const ids = stored && Array.isArray(stored[key]) ? stored[key] : DEFAULT_PREFERENCES[key];
+      return ids.filter(id => available.has(id));
+    };
+    return { facets: pick('facets'), attributes: pick('attributes') };
+  }
+  
+  /**
+   * Remember the chosen facets and attributes
+   */
+  function savePreferences(preferences) {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(preferences));
+  }
+  
+  /**
+   * Create the field chooser: one row per field with "Filter" and "List" checkboxes
+   * Built with DOM APIs, since field names come from BambooHR.
+   * @param {Array} fields - Directory fields
+   * @param {Object} preferences - {facets, attributes}
+   * @param {Function} onChange - Called with the new preferences
+   */
+  function createChooser(fields, preferences, onChange) {
+    const current = { facets: [...preferences.facets], attributes: [...preferences.attributes] };
+    
+    const element = document.createElement('div');
+    element.className = 'bamboo-fields';
+    element.innerHTML = `
+      <div class="bamboo-fields-header">
+        <span>Field</span>
+        <span>Filter</span>
+        <span>List</span>
+      </div>
+      <ul class="bamboo-fields-list"></ul>
+    `;
+    
+    const list = element.querySelector('.bamboo-fields-list');
+    getChoosable(fields).forEach(field => {
+      const item = document.createElement('li');
+      item.className = 'bamboo-fields-row';
+      
+      const name = document.createElement('span');
+      name.className = 'bamboo-fields-name';
+      name.textContent = field.name;
+      item.appendChild(name);
+      
+      ['facets', 'attributes'].forEach(key => {
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = current[key].includes(field.id);
+        checkbox.setAttribute('aria-label', `${key === 'facets' ? 'Filter by' : 'Show in list'} ${field.name}`);
+        checkbox.addEventListener('change', () => {
+          // Keep the directory's field order
+          const chosen = new Set(current[key].filter(id => id !== field.id));
+          if (checkbox.checked) chosen.add(field.id);
+          current[key] = getChoosable(fields).map(f => f.id).filter(id => chosen.has(id));
+          onChange({ facets: [...current.facets], attributes: [...current.attributes] });
+        });
+        item.appendChild(checkbox);
+      });
+      
+      list.appendChild(item);
+    });
+    
+    return element;
+  }
+  
+  // Public API
+  return {
+    DEFAULT_FIELDS,
+    sanitize,
+    getChoosable,
+    getValue,
+    loadPreferences,
+    savePreferences,
+    createChooser
+  };
+})();
+
+// Export for use in other scripts
+if (typeof window !== 'undefined') {
+  window.BambooFields = BambooFields;
+}
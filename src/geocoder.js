@@ -1,14 +1,44 @@
 /**
  * Local geocoder for converting location strings to coordinates
- * Supports country and US/CA/AU state level geocoding
+ * Supports city, state/region and country level geocoding
  */
 
 const BambooGeocoder = (function() {
+  const OVERRIDES_KEY = 'bamboo-location-overrides';
+  
+  // Fuzzy matching thresholds (confidence is 0-1, exact matches are 1)
+  const FUZZY_MIN_LENGTH = 4;
+  const MIN_CONFIDENCE = 0.8;
+  const LOW_CONFIDENCE = 0.9;
+  const TOKEN_WEIGHT = 0.95;
+  
+  // Abbreviations expanded inside multi-word names ("Czech Rep." -> "czech republic")
+  const ABBREVIATIONS = {
+    rep: 'republic',
+    dem: 'democratic',
+    fed: 'federal',
+    st: 'saint',
+    ste: 'sainte',
+    mt: 'mount',
+    ft: 'fort',
+    is: 'islands'
+  };
+  
+  // Words ignored when comparing names token by token
+  const STOPWORDS = new Set(['of', 'the', 'and']);
+  
+  // Countries whose subdivision codes are commonly written on their own ("Austin, TX")
+  const STANDALONE_CODE_COUNTRIES = ['US', 'CA', 'AU'];
+  
   let data = null;
+  let overrides = new Map();
+  let overridesFingerprint = '{}';
   const cache = new Map();
+  const namesCache = new Map();
+  const overrideListeners = [];
   
   /**
-   * Initialize the geocoder by loading location data
+   * Initialize the geocoder by loading location data and user overrides
    */
   async function init() {
     if (data) return data;
@@ -16,7 +46,10 @@ const BambooGeocoder = (function() {
     try {
       const url = chrome.runtime.getURL('data/cities.json');
       const response = await fetch(url);
-      data = await response.json();
+      const loaded = await response.json();
+      await loadOverrides();
+      watchOverrides();
+      data = loaded;
       return data;
     } catch (error) {
       // Silently fail - geocoding will return null for all locations
@@ -25,15 +58,165 @@ const BambooGeocoder = (function() {
   }
   
   /**
-   * Normalize a string for comparison (lowercase, remove special chars)
+   * Load user-defined location overrides from synced storage
+   * @returns {Promise<Object>} - Stored targets keyed by raw location string
+   */
+  async function loadOverrides() {
+    try {
+      const stored = await chrome.storage.sync.get(OVERRIDES_KEY);
+      setOverrides(stored[OVERRIDES_KEY]);
+      return stored[OVERRIDES_KEY] || {};
+    } catch (error) {
+      // Storage unavailable - use built-in data only
+      setOverrides({});
+      return {};
+    }
+  }
+  
+  /**
+   * Persist overrides to synced storage
+   */
+  async function saveOverrides(entries) {
+    await chrome.storage.sync.set({ [OVERRIDES_KEY]: entries });
+    setOverrides(entries);
+  }
+  
+  /**
+   * Replace the active overrides
+   * @param {Object<string, {type: string, value?: string, lat?: number, lng?: number, label?: string}>} entries -
+   *   Targets keyed by raw location string
+   */
+  function setOverrides(entries) {
+    overrides = new Map();
+    Object.entries(entries || {}).forEach(([location, target]) => {
+      overrides.set(normalize(location), target);
+    });
+    overridesFingerprint = JSON.stringify(entries || {});
+    cache.clear();
+  }
+  
+  /**
+   * Pick up overrides edited on the options page while the directory is open
+   */
+  function watchOverrides() {
+    if (!chrome.storage || !chrome.storage.onChanged) return;
+    
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName !== 'sync' || !changes[OVERRIDES_KEY]) return;
+      
+      setOverrides(changes[OVERRIDES_KEY].newValue);
+      overrideListeners.forEach(listener => listener());
+    });
+  }
+  
+  /**
+   * Register a callback for when the user edits their overrides
+   */
+  function onOverridesChanged(listener) {
+    overrideListeners.push(listener);
+  }
+  
+  /**
+   * Normalize a string for comparison (lowercase, remove special chars,
+   * drop a leading "the" and expand common abbreviations)
    */
   function normalize(str) {
     if (!str) return '';
-    return str.toLowerCase()
+    const words = str.toLowerCase()
       .normalize('NFD')
       .replace(/[\u0300-\u036f]/g, '') // Remove diacritics
       .replace(/[^a-z0-9\s]/g, '')
-      .trim();
+      .trim()
+      .split(/\s+/);
+    
+    if (words.length > 1 && words[0] === 'the') {
+      words.shift();
+    }
+    if (words.length > 1) {
+      return words.map(word => ABBREVIATIONS[word] || word).join(' ');
+    }
+    return words.join(' ');
+  }
+  
+  /**
+   * Edit distance between two strings, counting adjacent transpositions
+   * ("Untied" -> "United") as a single edit
+   */
+  function editDistance(a, b) {
+    const rows = [];
+    for (let i = 0; i <= a.length; i++) {
+      rows.push([i]);
+    }
+    for (let j = 1; j <= b.length; j++) {
+      rows[0][j] = j;
+    }
+    
+    for (let i = 1; i <= a.length; i++) {
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        rows[i][j] = Math.min(
+          rows[i - 1][j] + 1,
+          rows[i][j - 1] + 1,
+          rows[i - 1][j - 1] + cost
+        );
+        if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+          rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+        }
+      }
+    }
+    
+    return rows[a.length][b.length];
+  }
+  
+  /**
+   * Share of meaningful words two normalized names have in common (0-1)
+   */
+  function tokenOverlap(a, b) {
+    const tokensA = new Set(a.split(' ').filter(t => !STOPWORDS.has(t)));
+    const tokensB = new Set(b.split(' ').filter(t => !STOPWORDS.has(t)));
+    if (tokensA.size === 0 || tokensB.size === 0) return 0;
+    
+    let shared = 0;
+    tokensA.forEach(token => {
+      if (tokensB.has(token)) shared++;
+    });
+    
+    return shared / (tokensA.size + tokensB.size - shared);
+  }
+  
+  /**
+   * Similarity of two normalized names (0-1), from edit distance or word overlap
+   */
+  function similarity(a, b) {
+    if (a === b) return 1;
+    
+    const maxLength = Math.max(a.length, b.length);
+    let editScore = 0;
+    // Skip the edit distance when the lengths alone rule out a match
+    if (Math.abs(a.length - b.length) / maxLength <= 1 - MIN_CONFIDENCE) {
+      editScore = 1 - editDistance(a, b) / maxLength;
+    }
+    
+    return Math.max(editScore, tokenOverlap(a, b) * TOKEN_WEIGHT);
+  }
+  
+  /**
+   * Get the normalized name and aliases of a data entry
+   */
+  function getNames(entry) {
+    if (!namesCache.has(entry)) {
+      namesCache.set(entry, [entry.name, ...(entry.aliases || [])].map(normalize));
+    }
+    return namesCache.get(entry);
+  }
+  
+  /**
+   * Score how closely a normalized query matches an entry's names (0-1)
+   * Codes only ever match exactly, so "GER" can't drift to "GE".
+   */
+  function scoreEntry(query, entry) {
+    if (query.length < FUZZY_MIN_LENGTH) return 0;
+    return Math.max(...getNames(entry).map(name => similarity(query, name)));
   }
   
   /**
@@ -77,166 +260,471 @@ const BambooGeocoder = (function() {
       return null;
     }
     
+    // Re-join inverted official names such as "Korea, Republic of"
+    for (let i = parts.length - 1; i > 0; i--) {
+      if (/\bof(\s+the)?$/i.test(parts[i])) {
+        parts.splice(i - 1, 2, `${parts[i]} ${parts[i - 1]}`);
+      }
+    }
+    
     return {
       original: locationStr,
+      cleaned: str,
       parts: parts
     };
   }
   
   /**
-   * Find a matching US state
+   * Find first-level subdivisions (states, provinces, regions) matching a name or code
+   * Codes only match on their own for countries where people write them that
+   * way ("Austin, TX"); elsewhere ("BY" for Bavaria) the country has to be
+   * named in the string too, or they would shadow country codes.
+   * @param {string} str - Location part
+   * @param {Set<string>} [countryCodes] - Countries named elsewhere in the string
+   * @returns {Array<{state: object, countryCode: string}>} - Matches in data order
    */
-  function findUSState(str) {
-    if (!data || !str) return null;
+  function findStates(str, countryCodes = new Set()) {
+    if (!data || !str) return [];
     
     const normalized = normalize(str);
-    const states = data.states?.US || [];
+    const matches = [];
     
-    return states.find(s => 
-      normalize(s.name) === normalized ||
-      s.code.toLowerCase() === normalized
-    );
+    Object.entries(data.states || {}).forEach(([countryCode, states]) => {
+      const codesMatch = STANDALONE_CODE_COUNTRIES.includes(countryCode) || countryCodes.has(countryCode);
+      states.forEach(state => {
+        if (getNames(state).includes(normalized) || (codesMatch && state.code.toLowerCase() === normalized)) {
+          matches.push({ state, countryCode });
+        }
+      });
+    });
+    
+    return matches;
   }
   
   /**
-   * Find a matching Canadian province
+   * Find a matching country
    */
-  function findCAProvince(str) {
+  function findCountry(str) {
     if (!data || !str) return null;
     
     const normalized = normalize(str);
-    const provinces = data.states?.CA || [];
     
-    return provinces.find(p => 
-      normalize(p.name) === normalized ||
-      p.code.toLowerCase() === normalized
+    return data.countries.find(c => 
+      normalize(c.name) === normalized ||
+      c.code.toLowerCase() === normalized
     );
   }
   
   /**
-   * Find a matching Australian state
+   * Get the display name of a country from its ISO code
    */
-  function findAUState(str) {
-    if (!data || !str) return null;
+  function getCountryName(code) {
+    if (!data || !code) return code || '';
+    const country = data.countries.find(c => c.code === code);
+    return country ? country.name : code;
+  }
+  
+  /**
+   * Find cities matching a name or alias, most populous first
+   */
+  function findCities(str) {
+    if (!data || !str) return [];
     
     const normalized = normalize(str);
-    const states = data.states?.AU || [];
+    const cities = data.cities || [];
     
-    return states.find(s => 
-      normalize(s.name) === normalized ||
-      s.code.toLowerCase() === normalized
-    );
+    return cities
+      .filter(c =>
+        normalize(c.name) === normalized ||
+        (c.aliases || []).some(a => normalize(a) === normalized)
+      )
+      .sort((a, b) => (b.population || 0) - (a.population || 0));
   }
   
   /**
-   * Find a matching country
+   * Collect the countries and states mentioned by the given location parts,
+   * as a map of country code to the normalized state names seen for it.
+   * Every possible reading of a part counts, so "CA" contributes both
+   * Canada and California, and "BY" both Belarus and Bavaria.
    */
-  function findCountry(str) {
-    if (!data || !str) return null;
+  function getPartsContext(parts) {
+    const context = new Map();
+    const addCountry = code => {
+      if (!context.has(code)) context.set(code, new Set());
+      return context.get(code);
+    };
     
-    const normalized = normalize(str);
+    for (const part of parts) {
+      const country = findCountry(part);
+      if (country) addCountry(country.code);
+    }
     
-    return data.countries.find(c => 
-      normalize(c.name) === normalized ||
-      c.code.toLowerCase() === normalized
-    );
+    // Subdivision codes are read against every country with states, not
+    // only the ones named, since the code may be all the string has
+    const countryCodes = new Set(Object.keys(data.states || {}));
+    for (const part of parts) {
+      findStates(part, countryCodes).forEach(({ state, countryCode }) => {
+        addCountry(countryCode).add(normalize(state.name));
+      });
+    }
+    
+    return context;
   }
   
   /**
-   * Geocode a location string to coordinates
-   * @param {string} locationStr - Location string from BambooHR
-   * @returns {Promise<{lat: number, lng: number, name: string}|null>}
+   * Check whether a part names a country or state only by its code, like
+   * "BY" or "ME", rather than by a name
    */
-  async function geocode(locationStr) {
-    if (!locationStr) return null;
+  function isCodeOnly(part) {
+    const normalized = normalize(part);
+    const named = data.countries.some(c => normalize(c.name) === normalized) ||
+      Object.values(data.states || {}).some(states => states.some(state => getNames(state).includes(normalized)));
+    return !named && (Boolean(findCountry(part)) || getPartsContext([part]).size > 0);
+  }
+  
+  /**
+   * Check whether a city lies in one of the countries/states from getPartsContext()
+   */
+  function cityFitsContext(city, context) {
+    const regions = context.get(city.country);
+    if (!regions) return false;
+    return regions.size === 0 || regions.has(normalize(city.admin1));
+  }
+  
+  /**
+   * Build a geocoding result for a city
+   */
+  function cityResult(city) {
+    return {
+      lat: city.lat,
+      lng: city.lng,
+      name: `${city.name}, ${getCountryName(city.country)}`,
+      displayName: city.name,
+      level: 'city',
+      countryCode: city.country,
+      region: city.admin1
+    };
+  }
+  
+  /**
+   * Build a geocoding result for a state or province
+   */
+  function stateResult(state, countryCode) {
+    return {
+      lat: state.lat,
+      lng: state.lng,
+      name: `${state.name}, ${getCountryName(countryCode)}`,
+      displayName: state.name,
+      level: 'state',
+      countryCode,
+      region: state.name
+    };
+  }
+  
+  /**
+   * Build a geocoding result for a country
+   */
+  function countryResult(country) {
+    return {
+      lat: country.lat,
+      lng: country.lng,
+      name: country.name,
+      displayName: country.name,
+      level: 'country',
+      countryCode: country.code
+    };
+  }
+  
+  /**
+   * Choose between readings of the same part that point to different countries
+   * ("GA" is Georgia in the US and Gabon; "CA" is California and Canada).
+   * Readings within one country are the same place at different precision,
+   * so only the most specific one is kept. A country named elsewhere in the
+   * string settles it; otherwise the first reading wins for now and
+   * geocodeBatch() may revisit it with organization context.
+   * @param {Array} candidates - Results in priority order
+   * @param {Map} context - Countries/states from the other parts, see getPartsContext()
+   */
+  function resolveAmbiguity(candidates, context) {
+    const byCountry = [];
+    const seen = new Set();
+    for (const candidate of candidates) {
+      if (!seen.has(candidate.countryCode)) {
+        seen.add(candidate.countryCode);
+        byCountry.push(candidate);
+      }
+    }
     
-    // Check cache
-    const cacheKey = normalize(locationStr);
-    if (cache.has(cacheKey)) {
-      return cache.get(cacheKey);
+    if (byCountry.length === 1) {
+      return byCountry[0];
     }
     
-    // Ensure data is loaded
-    await init();
-    if (!data) return null;
+    const fromString = byCountry.find(c => context.has(c.countryCode));
+    const chosen = fromString || byCountry[0];
+    
+    return {
+      ...chosen,
+      ambiguous: true,
+      resolvedBy: fromString ? 'string' : 'default',
+      alternatives: byCountry.filter(c => c !== chosen)
+    };
+  }
+  
+  /**
+   * Find an exact match for any of the parts
+   */
+  function matchExact(parts) {
+    // Try each part as a city first, so "Berlin, Germany" doesn't land
+    // on the country centroid. The rest of the string tells apart cities
+    // that share a name (e.g. "Portland, Maine" vs "Portland").
+    let ruledOut = null;
+    for (const part of parts) {
+      const others = parts.filter(p => p !== part);
+      const context = getPartsContext(others);
+      const named = findCities(part);
+      const cities = named.filter(city => context.size === 0 || cityFitsContext(city, context));
+      
+      if (cities.length > 0) {
+        return resolveAmbiguity(cities.map(cityResult), context);
+      }
+      if (!ruledOut && named.length > 0 && others.every(isCodeOnly)) {
+        ruledOut = { cities: named, context };
+      }
+    }
+    
+    // A known city outweighs a country or state that's only a code away
+    // from it, e.g. "Vancouver, WA" with no Vancouver in Washington
+    if (ruledOut) {
+      return resolveAmbiguity(ruledOut.cities.map(cityResult), ruledOut.context);
+    }
     
+    // Fall back to state and country level
+    for (const part of parts) {
+      const context = getPartsContext(parts.filter(p => p !== part));
+      const candidates = findStates(part, new Set(context.keys()))
+        .map(({ state, countryCode }) => stateResult(state, countryCode));
+      
+      const country = findCountry(part);
+      if (country) candidates.push(countryResult(country));
+      
+      if (candidates.length > 0) {
+        return resolveAmbiguity(candidates, context);
+      }
+    }
+    
+    return null;
+  }
+  
+  /**
+   * Rank every city, state and country against the parts by similarity and
+   * return the best one, with its score, if it clears MIN_CONFIDENCE
+   */
+  function matchFuzzy(parts) {
+    let best = null;
+    
+    const consider = (query, entry, toResult) => {
+      const score = scoreEntry(query, entry);
+      if (score >= MIN_CONFIDENCE && (!best || score > best.score)) {
+        best = { score, result: toResult(entry) };
+      }
+    };
+    
+    for (const part of parts) {
+      const query = normalize(part);
+      const context = getPartsContext(parts.filter(p => p !== part));
+      
+      (data.cities || []).forEach(city => {
+        if (context.size === 0 || cityFitsContext(city, context)) {
+          consider(query, city, cityResult);
+        }
+      });
+      Object.entries(data.states || {}).forEach(([countryCode, states]) => {
+        states.forEach(state => {
+          consider(query, state, entry => stateResult(entry, countryCode));
+        });
+      });
+      data.countries.forEach(country => consider(query, country, countryResult));
+    }
+    
+    if (!best) return null;
+    return { ...best.result, confidence: Math.round(best.score * 100) / 100 };
+  }
+  
+  /**
+   * Resolve a location string against the bundled city, state and country data
+   * Exact matches (confidence 1) win over fuzzy ones.
+   */
+  function matchBuiltIn(locationStr) {
     const parsed = parseLocation(locationStr);
     if (!parsed) {
       return null;
     }
     
+    // Try the whole string first so hyphenated names like "Guinea-Bissau"
+    // aren't split apart
+    const exact = (parsed.parts.length > 1 && matchExact([parsed.cleaned])) || matchExact(parsed.parts);
+    if (exact) {
+      return { ...exact, confidence: 1 };
+    }
+    
+    return matchFuzzy(parsed.parts);
+  }
+  
+  /**
+   * Resolve a location string through the user's overrides
+   * Targets are a coordinate, a city (any string the built-in data resolves)
+   * or a country code.
+   */
+  function matchOverride(locationStr) {
+    const target = overrides.get(normalize(locationStr));
+    if (!target) return null;
+    
     let result = null;
     
-    // Try each part to find a match
-    for (const part of parsed.parts) {
-      // Try US state first
-      const usState = findUSState(part);
-      if (usState) {
-        result = {
-          lat: usState.lat,
-          lng: usState.lng,
-          name: `${usState.name}, United States`,
-          displayName: usState.name
-        };
-        break;
+    if (target.type === 'coordinates') {
+      // Blank or missing coordinates aren't 0, 0
+      const lat = target.lat === null || target.lat === '' ? NaN : Number(target.lat);
+      const lng = target.lng === null || target.lng === '' ? NaN : Number(target.lng);
+      if (!Number.isFinite(lat) || !Number.isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+        return null;
       }
       
-      // Try Canadian province
-      const caProvince = findCAProvince(part);
-      if (caProvince) {
-        result = {
-          lat: caProvince.lat,
-          lng: caProvince.lng,
-          name: `${caProvince.name}, Canada`,
-          displayName: caProvince.name
-        };
-        break;
-      }
-      
-      // Try Australian state
-      const auState = findAUState(part);
-      if (auState) {
-        result = {
-          lat: auState.lat,
-          lng: auState.lng,
-          name: `${auState.name}, Australia`,
-          displayName: auState.name
-        };
-        break;
-      }
-      
-      // Try country
-      const country = findCountry(part);
+      const label = target.label || locationStr;
+      result = {
+        lat,
+        lng,
+        name: label,
+        displayName: label,
+        level: 'custom',
+        countryCode: target.countryCode || null
+      };
+    } else if (target.type === 'city') {
+      result = matchBuiltIn(target.value);
+    } else if (target.type === 'country') {
+      const code = String(target.value || '').toUpperCase();
+      const country = data.countries.find(c => c.code === code);
       if (country) {
         result = {
           lat: country.lat,
           lng: country.lng,
           name: country.name,
-          displayName: country.name
+          displayName: country.name,
+          level: 'country',
+          countryCode: country.code
         };
-        break;
       }
     }
     
+    return result ? { ...result, confidence: 1, override: true } : null;
+  }
+  
+  /**
+   * Geocode a location string to coordinates
+   * User overrides are checked before the built-in data.
+   * @param {string} locationStr - Location string from BambooHR
+   * @returns {Promise<{lat: number, lng: number, name: string, displayName: string, level: string, countryCode: string, region?: string, confidence: number}|null>}
+   *   Ambiguous results also carry `ambiguous`, `resolvedBy` and the rejected `alternatives`.
+   */
+  async function geocode(locationStr) {
+    if (!locationStr) return null;
+    
+    // Check cache
+    const cacheKey = normalize(locationStr);
+    if (cache.has(cacheKey)) {
+      return cache.get(cacheKey);
+    }
+    
+    // Ensure data is loaded
+    await init();
+    if (!data) return null;
+    
+    const result = matchOverride(locationStr) || matchBuiltIn(locationStr);
+    
     // Cache the result
     cache.set(cacheKey, result);
     
     return result;
   }
   
+  /**
+   * Count the countries of unambiguously geocoded employees per group
+   * @returns {Promise<Map<string, Map<string, number>>>} - Group key to country code counts;
+   *   the "*" key holds the organization-wide counts
+   */
+  async function tallyCountries(groups) {
+    const tallies = new Map([['*', new Map()]]);
+    const add = (key, countryCode) => {
+      if (!tallies.has(key)) tallies.set(key, new Map());
+      const counts = tallies.get(key);
+      counts.set(countryCode, (counts.get(countryCode) || 0) + 1);
+    };
+    
+    for (const [location, employeeGroups] of groups) {
+      const result = await geocode(location);
+      if (!result || !result.countryCode || isAmbiguous(result)) continue;
+      
+      employeeGroups.forEach(key => {
+        add(key, result.countryCode);
+        add('*', result.countryCode);
+      });
+    }
+    
+    return tallies;
+  }
+  
+  /**
+   * Re-resolve an ambiguous result towards the country where colleagues in
+   * the same groups (e.g. division) are, falling back to the whole organization
+   */
+  function resolveFromOrganization(result, employeeGroups, tallies) {
+    const candidates = [result, ...result.alternatives];
+    const score = keys => candidates.map(candidate =>
+      keys.reduce((sum, key) => sum + ((tallies.get(key) && tallies.get(key).get(candidate.countryCode)) || 0), 0)
+    );
+    
+    let resolvedBy = 'group';
+    let scores = score(employeeGroups);
+    if (scores.every(s => s === 0)) {
+      resolvedBy = 'organization';
+      scores = score(['*']);
+    }
+    
+    const best = scores.indexOf(Math.max(...scores));
+    if (scores[best] === 0) return result;
+    
+    const withoutResolution = ({ ambiguous, resolvedBy: previous, alternatives, ...rest }) => rest;
+    return {
+      ...withoutResolution(candidates[best]),
+      ambiguous: true,
+      resolvedBy,
+      alternatives: candidates.filter((c, i) => i !== best).map(withoutResolution)
+    };
+  }
+  
   /**
    * Geocode multiple locations in batch
    * @param {string[]} locations - Array of location strings
+   * @param {Object} [options]
+   * @param {Map<string, string[]>} [options.groups] - Organization context: for each location
+   *   string in the directory, one group key (e.g. division) per employee who has it.
+   *   Used to settle ambiguous locations that the string itself doesn't.
    * @returns {Promise<Map<string, object>>} - Map of location string to coordinates
    */
-  async function geocodeBatch(locations) {
+  async function geocodeBatch(locations, options = {}) {
     await init();
     
     const results = new Map();
     const unique = [...new Set(locations.filter(Boolean))];
+    let tallies = null;
     
     for (const location of unique) {
-      const coords = await geocode(location);
+      let coords = await geocode(location);
+      
+      if (coords && options.groups && isAmbiguous(coords)) {
+        tallies = tallies || await tallyCountries(options.groups);
+        coords = resolveFromOrganization(coords, options.groups.get(location) || [], tallies);
+      }
+      
       if (coords) {
         results.set(location, coords);
       }
@@ -245,6 +733,21 @@ const BambooGeocoder = (function() {
     return results;
   }
   
+  /**
+   * Check whether a result is an ambiguous location the string itself didn't settle
+   * (resolved from colleagues' locations or by default priority)
+   */
+  function isAmbiguous(result) {
+    return Boolean(result) && Boolean(result.ambiguous) && result.resolvedBy !== 'string';
+  }
+  
+  /**
+   * Check whether a result is a fuzzy match that should be reviewed
+   */
+  function isLowConfidence(result) {
+    return Boolean(result) && result.confidence < LOW_CONFIDENCE;
+  }
+  
   /**
    * Clear the geocoding cache
    */
@@ -252,13 +755,49 @@ const BambooGeocoder = (function() {
     cache.clear();
   }
   
+  /**
+   * Snapshot the geocoding cache, e.g. to store it between visits
+   * @returns {{overrides: string, entries: Array}} - Results keyed by normalized location string,
+   *   with the overrides they were made with
+   */
+  function exportCache() {
+    return { overrides: overridesFingerprint, entries: Array.from(cache) };
+  }
+  
+  /**
+   * Restore a snapshot from exportCache()
+   * Snapshots made with other overrides are ignored, since their results may be stale.
+   * @returns {boolean} - Whether the snapshot was used
+   */
+  function importCache(snapshot) {
+    if (!snapshot || snapshot.overrides !== overridesFingerprint || !Array.isArray(snapshot.entries)) {
+      return false;
+    }
+    
+    snapshot.entries.forEach(entry => {
+      if (Array.isArray(entry) && typeof entry[0] === 'string') {
+        cache.set(entry[0], entry[1] || null);
+      }
+    });
+    return true;
+  }
+  
   // Public API
   return {
     init,
     geocode,
     geocodeBatch,
     clearCache,
-    parseLocation
+    exportCache,
+    importCache,
+    normalize,
+    isAmbiguous,
+    isLowConfidence,
+    parseLocation,
+    loadOverrides,
+    saveOverrides,
+    setOverrides,
+    onOverridesChanged
   };
 })();
 
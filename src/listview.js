@@ -0,0 +1,152 @@
+/**
+ * Table view for BambooHR Map
+ * Lists the map's locations as an accessible table, with headcount and local
+ * time, for keyboard and screen reader users or anyone who prefers a list
+ */
+
+const BambooListView = (function() {
+  let panelElement = null;
+  let onOpen = null;
+  let openButtons = new Map();
+  
+  /**
+   * Create the table panel in the map container, hidden until shown
+   * @param {HTMLElement} container - Map container
+   * @param {Object} options - {onOpen: called with (location, position) to open its employee list}
+   */
+  function init(container, options = {}) {
+    onOpen = options.onOpen || null;
+    
+    panelElement = document.createElement('section');
+    panelElement.className = 'bamboo-listview';
+    panelElement.setAttribute('aria-label', 'Employee locations');
+    panelElement.hidden = true;
+    panelElement.innerHTML = `
+      <table class="bamboo-listview-table">
+        <caption class="bamboo-listview-caption"></caption>
+        <thead>
+          <tr>
+            <th scope="col">Location</th>
+            <th scope="col" class="bamboo-listview-number">Employees</th>
+            <th scope="col">Local time</th>
+            <th scope="col"><span class="bamboo-visually-hidden">Employee list</span></th>
+          </tr>
+        </thead>
+        <tbody></tbody>
+      </table>
+    `;
+    
+    container.appendChild(panelElement);
+  }
+  
+  /**
+   * Open a location's employee list next to its button, and come back to it when the list closes
+   */
+  function openLocation(location, button) {
+    if (!onOpen) return;
+    
+    const rect = button.getBoundingClientRect();
+    onOpen(location, {
+      clientX: rect.left,
+      clientY: rect.bottom,
+      returnFocus: () => focusLocation(location.name)
+    });
+  }
+  
+  /**
+   * Focus a location's button, e.g. after the table was redrawn while its list was open
+   */
+  function focusLocation(name) {
+    const button = openButtons.get(name);
+    if (button) {
+      button.focus();
+    }
+  }
+  
+  /**
+   * Show these locations, largest first
+   * Built with DOM APIs, since location names come from BambooHR.
+   * @param {Array} locations - Array of {name, timeZone, employees: [...]}
+   */
+  function render(locations) {
+    if (!panelElement) return;
+    
+    const sorted = [...locations].sort((a, b) =>
+      b.employees.length - a.employees.length || a.name.localeCompare(b.name)
+    );
+    const employeeCount = d3.sum(sorted, location => location.employees.length);
+    panelElement.querySelector('.bamboo-listview-caption').textContent =
+      `${employeeCount} employee${employeeCount !== 1 ? 's' : ''} in ${sorted.length} location${sorted.length !== 1 ? 's' : ''}`;
+    
+    const body = panelElement.querySelector('tbody');
+    body.innerHTML = '';
+    openButtons = new Map();
+    
+    sorted.forEach(location => {
+      const row = document.createElement('tr');
+      const count = location.employees.length;
+      
+      const name = document.createElement('th');
+      name.scope = 'row';
+      name.textContent = location.name;
+      
+      const employees = document.createElement('td');
+      employees.className = 'bamboo-listview-number';
+      employees.textContent = count;
+      
+      const localTime = BambooTimeZones.getLocalTime(location.timeZone);
+      const time = document.createElement('td');
+      time.textContent = localTime ? `${localTime.time} (${localTime.offset})` : '';
+      
+      const action = document.createElement('td');
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'bamboo-listview-open';
+      button.textContent = 'Show employees';
+      button.setAttribute('aria-label', `Show the ${count} employee${count !== 1 ? 's' : ''} in ${location.name}`);
+      button.addEventListener('click', (e) => {
+        // Keep the popup's click-outside handler from closing the list right away
+        e.stopPropagation();
+        openLocation(location, button);
+      });
+      action.appendChild(button);
+      openButtons.set(location.name, button);
+      
+      row.append(name, employees, time, action);
+      body.appendChild(row);
+    });
+  }
+  
+  /**
+   * Show or hide the table
+   */
+  function setVisible(visible) {
+    if (panelElement) {
+      panelElement.hidden = !visible;
+    }
+  }
+  
+  /**
+   * Remove the table panel
+   */
+  function destroy() {
+    if (panelElement) {
+      panelElement.remove();
+      panelElement = null;
+    }
+    openButtons = new Map();
+  }
+  
+  // Public API
+  return {
+    init,
+    render,
+    setVisible,
+    destroy
+  };
+})();
+
+// Export for use in other scripts
+if (typeof window !== 'undefined') {
+  window.BambooListView = BambooListView;
+}
@@ -1,6 +1,8 @@
 /**
  * D3-based world map renderer for BambooHR Employee Map
- * Features: zoom, pan, employee pins with clustering
+ * Features: zoom, pan, employee pins with zoom-aware clustering, fanning out
+ * co-located pins, country shading by headcount, time zone bands, keyboard
+ * navigation between pins
  */
 
 const BambooMap = (function() {
@@ -15,6 +17,27 @@ const BambooMap = (function() {
   let topoData = null;
   let currentTransform = d3.zoomIdentity;
   let onPinClick = null;
+  let onModeChange = null;
+  let onTimeZonesChange = null;
+  let getImageCaption = null;
+  let onViewChange = null;
+  let onListViewChange = null;
+  let mode = 'pins';
+  let showTimeZones = false;
+  let showListView = false;
+  let containerElement = null;
+  let countryCounts = new Map();
+  let legendElement = null;
+  let imageMenuElement = null;
+  let pinLocations = [];
+  let clusterScale = null;
+  let spiderGroup = null;
+  let reportingLines = [];
+  let pinColoring = null;
+  let pinBadge = null;
+  
+  // Location of the pin that Tab moves focus to; the pin that holds it changes as pins cluster
+  let focusedLocation = null;
   
   const config = {
     minZoom: 0.3,
@@ -22,7 +45,27 @@ const BambooMap = (function() {
     initialScale: 1,
     transitionDuration: 300,
     pinBaseRadius: 6,
-    pinMaxRadius: 20
+    pinMaxRadius: 20,
+    clusterRadius: 28,
+    fitPadding: 0.8,
+    spiderCircleMax: 8,
+    spiderRadius: 40,
+    spiderSpiralStart: 30,
+    spiderSpiralSeparation: 32,
+    spiderSpiralGrowth: 6,
+    tooltipCategories: 5,
+    badgeRadius: 4,
+    pulseDuration: 1800,
+    choroplethLow: '#d1fae5',
+    choroplethHigh: '#065f46'
+  };
+  
+  // Screen direction each arrow key moves pin focus in
+  const ARROW_DIRECTIONS = {
+    ArrowLeft: [-1, 0],
+    ArrowRight: [1, 0],
+    ArrowUp: [0, -1],
+    ArrowDown: [0, 1]
   };
   
   /**
@@ -46,11 +89,29 @@ const BambooMap = (function() {
     if (options.onPinClick) {
       onPinClick = options.onPinClick;
     }
+    if (options.onModeChange) {
+      onModeChange = options.onModeChange;
+    }
+    if (options.onTimeZonesChange) {
+      onTimeZonesChange = options.onTimeZonesChange;
+    }
+    if (options.getImageCaption) {
+      getImageCaption = options.getImageCaption;
+    }
+    if (options.onViewChange) {
+      onViewChange = options.onViewChange;
+    }
+    if (options.onListViewChange) {
+      onListViewChange = options.onListViewChange;
+    }
+    containerElement = container;
     
     // Create SVG
     svg = d3.select(container)
       .append('svg')
       .attr('class', 'bamboo-map-svg')
+      .attr('role', 'group')
+      .attr('aria-label', 'Map of employee locations. Use the arrow keys to move between pins and Enter to open one')
       .attr('width', '100%')
       .attr('height', height)
       .attr('viewBox', `0 0 ${width} ${height}`);
@@ -78,6 +139,7 @@ const BambooMap = (function() {
       .on('zoom', handleZoom);
     
     svg.call(zoom);
+    svg.on('click', unspiderfy);
     
     // Load and render world data
     await loadWorldData();
@@ -85,6 +147,11 @@ const BambooMap = (function() {
     
     // Add controls
     addControls(container);
+    addLegend(container);
+    addImageMenu(container);
+    setMode(options.mode || 'pins');
+    setTimeZonesVisible(Boolean(options.timeZones));
+    setListViewVisible(Boolean(options.listView));
     
     return { svg, projection, g };
   }
@@ -114,13 +181,22 @@ const BambooMap = (function() {
   function renderMap() {
     if (!worldData || !topoData) return;
     
+    renderTimeZoneBands();
+    
     // Render countries
     g.selectAll('.bamboo-country')
       .data(worldData.countries.features)
       .enter()
       .append('path')
       .attr('class', 'bamboo-country')
-      .attr('d', path);
+      .attr('d', path)
+      .on('mouseenter', (event, d) => {
+        if (mode === 'choropleth') showCountryTooltip(event, d);
+      })
+      .on('mousemove', (event, d) => {
+        if (mode === 'choropleth') showCountryTooltip(event, d);
+      })
+      .on('mouseleave', hideTooltip);
     
     // Add country borders using original TopoJSON for mesh
     g.append('path')
@@ -129,6 +205,108 @@ const BambooMap = (function() {
       .attr('d', path);
   }
   
+  /**
+   * Draw nominal time zone bands (15° of longitude per hour) behind the countries
+   * Real zone borders follow politics rather than meridians, so these are a
+   * guide to offsets, not a zone map.
+   */
+  function renderTimeZoneBands() {
+    const bands = d3.range(-12, 13).map(offset => {
+      const west = Math.max(-180, offset * 15 - 7.5);
+      const east = Math.min(180, offset * 15 + 7.5);
+      return {
+        offset,
+        center: (west + east) / 2,
+        outline: d3.geoGraticule().extentMajor([[west, -89.99], [east, 89.99]]).outline()
+      };
+    });
+    
+    const layer = g.append('g')
+      .attr('class', 'bamboo-timezones')
+      .attr('display', showTimeZones ? null : 'none');
+    
+    layer.selectAll('.bamboo-timezone-band')
+      .data(bands)
+      .enter()
+      .append('path')
+      .attr('class', d => `bamboo-timezone-band${d.offset % 2 === 0 ? ' bamboo-timezone-band-even' : ''}`)
+      .attr('d', d => path(d.outline));
+    
+    layer.selectAll('.bamboo-timezone-label')
+      .data(bands)
+      .enter()
+      .append('text')
+      .attr('class', 'bamboo-timezone-label')
+      .attr('text-anchor', 'middle')
+      .attr('transform', d => `translate(${projection([d.center, 72])})`)
+      .text(d => d.offset === 0 ? 'UTC' : `UTC${d.offset > 0 ? '+' : '−'}${Math.abs(d.offset)}`);
+  }
+  
+  /**
+   * Show or hide the time zone bands
+   */
+  function setTimeZonesVisible(visible) {
+    showTimeZones = Boolean(visible);
+    
+    if (g) {
+      g.select('.bamboo-timezones').attr('display', showTimeZones ? null : 'none');
+    }
+    const button = document.querySelector('.bamboo-map-btn[data-action="timezones"]');
+    if (button) {
+      button.setAttribute('aria-pressed', String(showTimeZones));
+    }
+  }
+  
+  /**
+   * Swap the map for a table of its locations, or back
+   * The table itself is drawn by the caller; this hides the map and the controls only it uses.
+   */
+  function setListViewVisible(visible) {
+    showListView = Boolean(visible);
+    
+    if (containerElement) {
+      containerElement.classList.toggle('bamboo-map-list-mode', showListView);
+    }
+    const button = document.querySelector('.bamboo-map-btn[data-action="list"]');
+    if (button) {
+      button.setAttribute('aria-pressed', String(showListView));
+      button.title = showListView ? 'Show the map' : 'Show as a table';
+      button.setAttribute('aria-label', button.title);
+    }
+    hideTooltip();
+  }
+  
+  /**
+   * Draw great-circle arcs from managers to their reports, below the pins
+   * @param {Array} lines - Array of {from: {lat, lng}, to: {lat, lng}, depth}; depth 1 for direct reports
+   */
+  function setReportingLines(lines) {
+    reportingLines = lines || [];
+    if (g) drawReportingLines();
+  }
+  
+  /**
+   * Render the current reporting lines
+   */
+  function drawReportingLines() {
+    g.select('.bamboo-reporting').remove();
+    if (reportingLines.length === 0) return;
+    
+    const layer = g.insert('g', '.bamboo-pin-group')
+      .attr('class', 'bamboo-reporting');
+    
+    // A LineString between two points is projected along the great circle
+    layer.selectAll('.bamboo-reporting-arc')
+      .data(reportingLines)
+      .enter()
+      .append('path')
+      .attr('class', d => `bamboo-reporting-arc${d.depth > 1 ? ' bamboo-reporting-arc-indirect' : ''}`)
+      .attr('d', d => path({
+        type: 'LineString',
+        coordinates: [[d.from.lng, d.from.lat], [d.to.lng, d.to.lat]]
+      }));
+  }
+  
   /**
    * Handle zoom events
    */
@@ -136,13 +314,21 @@ const BambooMap = (function() {
     currentTransform = event.transform;
     g.attr('transform', currentTransform);
     
-    // Scale pins inversely to maintain consistent size
+    if (onViewChange) {
+      onViewChange(getView());
+    }
+    
+    // Re-cluster when the zoom level changes; panning only moves the pins
     const scale = currentTransform.k;
+    unspiderfy();
+    if (scale !== clusterScale) {
+      drawPins();
+      return;
+    }
+    
+    // Scale pins inversely to maintain consistent size
     g.selectAll('.bamboo-pin-group')
-      .attr('transform', d => {
-        const [x, y] = projection([d.lng, d.lat]);
-        return `translate(${x}, ${y}) scale(${1/scale})`;
-      });
+      .attr('transform', d => `translate(${d.x}, ${d.y}) scale(${1/scale})`);
   }
   
   /**
@@ -152,13 +338,37 @@ const BambooMap = (function() {
     const controls = document.createElement('div');
     controls.className = 'bamboo-map-controls';
     controls.innerHTML = `
-      <button class="bamboo-map-btn" data-action="zoom-in" title="Zoom in">+</button>
-      <button class="bamboo-map-btn" data-action="zoom-out" title="Zoom out">−</button>
-      <button class="bamboo-map-btn" data-action="reset" title="Reset view">⟲</button>
+      <button class="bamboo-map-btn" data-action="list" title="Show as a table" aria-label="Show as a table" aria-pressed="false">☰</button>
+      <button class="bamboo-map-btn" data-action="zoom-in" title="Zoom in" aria-label="Zoom in">+</button>
+      <button class="bamboo-map-btn" data-action="zoom-out" title="Zoom out" aria-label="Zoom out">−</button>
+      <button class="bamboo-map-btn" data-action="reset" title="Reset view" aria-label="Reset view">⟲</button>
+      <button class="bamboo-map-btn" data-action="mode" title="Shade countries by headcount" aria-label="Shade countries by headcount" aria-pressed="false">◧</button>
+      <button class="bamboo-map-btn" data-action="timezones" title="Show time zones" aria-label="Show time zones" aria-pressed="false">◷</button>
+      <button class="bamboo-map-btn" data-action="image" title="Save map as image" aria-label="Save map as image" aria-haspopup="true" aria-expanded="false">⤓</button>
     `;
     
     controls.addEventListener('click', (e) => {
       const action = e.target.dataset.action;
+      if (action === 'list') {
+        setListViewVisible(!showListView);
+        if (onListViewChange) onListViewChange(showListView);
+        return;
+      }
+      if (action === 'mode') {
+        setMode(mode === 'choropleth' ? 'pins' : 'choropleth');
+        if (onModeChange) onModeChange(mode);
+        return;
+      }
+      if (action === 'timezones') {
+        setTimeZonesVisible(!showTimeZones);
+        if (onTimeZonesChange) onTimeZonesChange(showTimeZones);
+        return;
+      }
+      if (action === 'image') {
+        e.stopPropagation();
+        setImageMenuOpen(imageMenuElement.hidden);
+        return;
+      }
       if (action === 'zoom-in') {
         svg.transition().duration(config.transitionDuration).call(zoom.scaleBy, 1.5);
       } else if (action === 'zoom-out') {
@@ -171,6 +381,214 @@ const BambooMap = (function() {
     container.appendChild(controls);
   }
   
+  /**
+   * Add the choropleth legend (shown only in choropleth mode)
+   */
+  function addLegend(container) {
+    legendElement = document.createElement('div');
+    legendElement.className = 'bamboo-map-legend';
+    legendElement.hidden = true;
+    container.appendChild(legendElement);
+  }
+  
+  /**
+   * Add the save-as-image menu, opened from the controls
+   */
+  function addImageMenu(container) {
+    imageMenuElement = document.createElement('div');
+    imageMenuElement.className = 'bamboo-map-image-menu';
+    imageMenuElement.hidden = true;
+    imageMenuElement.innerHTML = `
+      <label class="bamboo-map-image-row">
+        <input type="checkbox" class="bamboo-map-image-caption" checked>
+        Title, filters and legend
+      </label>
+      <label class="bamboo-map-image-row">
+        PNG size
+        <select class="bamboo-map-image-scale">
+          <option value="1">Screen (1×)</option>
+          <option value="2" selected>Slides (2×)</option>
+          <option value="4">Print (4×)</option>
+        </select>
+      </label>
+      <div class="bamboo-map-image-actions">
+        <button class="bamboo-map-image-save" data-format="svg">Save SVG</button>
+        <button class="bamboo-map-image-save" data-format="png">Save PNG</button>
+      </div>
+      <p class="bamboo-map-image-error" role="alert" hidden></p>
+    `;
+    
+    imageMenuElement.addEventListener('click', (e) => {
+      const format = e.target.dataset.format;
+      if (!format) return;
+      
+      setImageMenuOpen(false);
+      exportImage(format, {
+        caption: imageMenuElement.querySelector('.bamboo-map-image-caption').checked,
+        scale: Number(imageMenuElement.querySelector('.bamboo-map-image-scale').value)
+      }).catch(() => {
+        // The browser may not load the image, or refuse to encode a large PNG
+        setImageMenuOpen(true);
+        const message = imageMenuElement.querySelector('.bamboo-map-image-error');
+        message.textContent = format === 'png'
+          ? "Couldn't create the PNG. Try a smaller size, or save as SVG."
+          : "Couldn't create the image.";
+        message.hidden = false;
+      });
+    });
+    
+    // Close on click outside
+    document.addEventListener('click', (e) => {
+      if (imageMenuElement && !imageMenuElement.hidden && !imageMenuElement.contains(e.target)) {
+        setImageMenuOpen(false);
+      }
+    });
+    
+    container.appendChild(imageMenuElement);
+  }
+  
+  /**
+   * Open or close the save-as-image menu, clearing any error from the last save
+   */
+  function setImageMenuOpen(open) {
+    imageMenuElement.hidden = !open;
+    if (!open) {
+      imageMenuElement.querySelector('.bamboo-map-image-error').hidden = true;
+    }
+    const button = document.querySelector('.bamboo-map-btn[data-action="image"]');
+    if (button) {
+      button.setAttribute('aria-expanded', String(open));
+    }
+  }
+  
+  /**
+   * Describe the current mode's legend for an exported image
+   */
+  function getImageLegend() {
+    if (mode !== 'choropleth' && pinColoring) {
+      const shown = new Set(pinLocations.flatMap(l => l.employees).map(emp => pinColoring.getCategory(emp)));
+      return {
+        title: pinColoring.title,
+        categories: pinColoring.categories.filter(category => shown.has(category.key))
+      };
+    }
+    if (mode !== 'choropleth') {
+      return { title: 'Employees per location' };
+    }
+    
+    const maxCount = Math.max(0, ...countryCounts.values());
+    if (maxCount === 0) return null;
+    
+    return {
+      title: 'Employees per country',
+      stops: getLegendStops(getColorScale(), maxCount),
+      min: '1',
+      max: String(maxCount)
+    };
+  }
+  
+  /**
+   * Download the current view, with its zoom, pins and layers, as an image
+   * @param {string} format - 'svg' or 'png'
+   * @param {Object} options - {caption: add title, filters and legend below the map; scale: PNG pixel ratio}
+   */
+  function exportImage(format, { caption = true, scale = 2 } = {}) {
+    if (!svg) return Promise.resolve();
+    
+    hideTooltip();
+    return BambooExport.downloadMapImage(svg.node(), {
+      format,
+      width,
+      height,
+      scale,
+      caption: caption ? { ...(getImageCaption ? getImageCaption() : {}), legend: getImageLegend() } : null
+    });
+  }
+  
+  /**
+   * Color scale from one employee to the largest country's headcount
+   * Logarithmic, so a few large offices don't wash out everything else.
+   */
+  function getColorScale() {
+    const maxCount = Math.max(2, ...countryCounts.values());
+    return d3.scaleSequentialLog()
+      .domain([1, maxCount])
+      .interpolator(d3.interpolateRgb(config.choroplethLow, config.choroplethHigh));
+  }
+  
+  /**
+   * Evenly spaced colors along the (logarithmic) legend scale
+   */
+  function getLegendStops(colorScale, maxCount) {
+    return d3.range(0, 1.01, 0.25).map(t => colorScale(Math.pow(maxCount, t) || 1));
+  }
+  
+  /**
+   * Shade countries by headcount and update the legend
+   */
+  function renderChoropleth() {
+    if (!g) return;
+    
+    const colorScale = getColorScale();
+    const active = mode === 'choropleth';
+    
+    g.selectAll('.bamboo-country')
+      .classed('bamboo-country-shaded', d => active && countryCounts.has(d.properties.iso))
+      .style('fill', d => (active && countryCounts.has(d.properties.iso))
+        ? colorScale(countryCounts.get(d.properties.iso))
+        : null);
+    
+    if (!legendElement) return;
+    
+    legendElement.hidden = !active;
+    if (!active) return;
+    
+    const maxCount = Math.max(0, ...countryCounts.values());
+    if (maxCount === 0) {
+      legendElement.innerHTML = '<span class="bamboo-map-legend-title">No employees on the map</span>';
+      return;
+    }
+    
+    const stops = getLegendStops(colorScale, maxCount);
+    legendElement.innerHTML = `
+      <span class="bamboo-map-legend-title">Employees per country</span>
+      <span class="bamboo-map-legend-bar" style="background: linear-gradient(to right, ${stops.join(', ')})"></span>
+      <span class="bamboo-map-legend-labels">
+        <span>1</span>
+        <span>${maxCount}</span>
+      </span>
+    `;
+  }
+  
+  /**
+   * Set how many of the shown employees are in each country
+   * @param {Map<string, number>} counts - ISO alpha-2 country code to employee count
+   */
+  function setCountryCounts(counts) {
+    countryCounts = counts || new Map();
+    renderChoropleth();
+  }
+  
+  /**
+   * Switch between employee pins ('pins') and country shading ('choropleth')
+   */
+  function setMode(newMode) {
+    mode = newMode === 'choropleth' ? 'choropleth' : 'pins';
+    
+    if (svg) {
+      svg.classed('bamboo-map-choropleth', mode === 'choropleth');
+    }
+    const button = document.querySelector('.bamboo-map-btn[data-action="mode"]');
+    if (button) {
+      button.setAttribute('aria-pressed', String(mode === 'choropleth'));
+      button.title = mode === 'choropleth' ? 'Show employee pins' : 'Shade countries by headcount';
+      button.setAttribute('aria-label', button.title);
+    }
+    
+    hideTooltip();
+    renderChoropleth();
+  }
+  
   /**
    * Calculate pin radius based on employee count
    */
@@ -179,9 +597,102 @@ const BambooMap = (function() {
     return config.pinBaseRadius + normalized * (config.pinMaxRadius - config.pinBaseRadius);
   }
   
+  /**
+   * Merge locations whose pins would overlap on screen at a zoom level
+   * Greedy: the largest remaining location absorbs everything within
+   * clusterRadius screen pixels of it.
+   * @returns {Array} - Clusters of {x, y, lat, lng, name, lowConfidence, ambiguous, employees, members}
+   */
+  function clusterLocations(locations, scale) {
+    const points = locations
+      .map(location => {
+        const [x, y] = projection([location.lng, location.lat]);
+        return { location, x, y };
+      })
+      .sort((a, b) => b.location.employees.length - a.location.employees.length);
+    
+    const radius = config.clusterRadius / scale;
+    const assigned = new Set();
+    const clusters = [];
+    
+    for (const seed of points) {
+      if (assigned.has(seed)) continue;
+      
+      const members = points.filter(p =>
+        !assigned.has(p) && Math.hypot(p.x - seed.x, p.y - seed.y) <= radius
+      );
+      members.forEach(p => assigned.add(p));
+      
+      clusters.push(createCluster(members));
+    }
+    
+    return clusters;
+  }
+  
+  /**
+   * Combine clustered points into one pin, placed at their employee-weighted center
+   */
+  function createCluster(points) {
+    const locations = points.map(p => p.location);
+    const employees = locations.flatMap(l => l.employees);
+    
+    if (locations.length === 1) {
+      return { ...locations[0], x: points[0].x, y: points[0].y, members: locations };
+    }
+    
+    const weight = p => p.location.employees.length;
+    const total = d3.sum(points, weight);
+    const x = d3.sum(points, p => p.x * weight(p)) / total;
+    const y = d3.sum(points, p => p.y * weight(p)) / total;
+    const [lng, lat] = projection.invert([x, y]);
+    
+    return {
+      x,
+      y,
+      lat,
+      lng,
+      name: `${locations[0].name} + ${locations.length - 1} more`,
+      timeZone: locations.every(l => l.timeZone === locations[0].timeZone) ? locations[0].timeZone : null,
+      lowConfidence: locations.some(l => l.lowConfidence),
+      ambiguous: locations.some(l => l.ambiguous),
+      employees,
+      members: locations
+    };
+  }
+  
+  /**
+   * Zoom so all members of a cluster fit in view
+   * @returns {boolean} - False when zooming in further wouldn't separate them
+   */
+  function zoomToCluster(cluster) {
+    const points = cluster.members.map(m => projection([m.lng, m.lat]));
+    const [minX, maxX] = d3.extent(points, p => p[0]);
+    const [minY, maxY] = d3.extent(points, p => p[1]);
+    
+    const fitScale = config.fitPadding * Math.min(
+      width / Math.max(maxX - minX, 1),
+      height / Math.max(maxY - minY, 1)
+    );
+    const scale = Math.min(config.maxZoom, fitScale);
+    if (scale <= currentTransform.k * 1.01) {
+      return false;
+    }
+    
+    svg.transition()
+      .duration(750)
+      .call(
+        zoom.transform,
+        d3.zoomIdentity
+          .translate(width / 2, height / 2)
+          .scale(scale)
+          .translate(-(minX + maxX) / 2, -(minY + maxY) / 2)
+      );
+    return true;
+  }
+  
   /**
    * Render employee pins on the map
-   * @param {Array} locations - Array of {lat, lng, name, employees: [...]}
+   * @param {Array} locations - Array of {lat, lng, name, lowConfidence, ambiguous, employees: [...]}
    */
   function renderPins(locations) {
     if (!g || !projection) {
@@ -189,38 +700,57 @@ const BambooMap = (function() {
       return;
     }
     
-    // Remove existing pins
-    g.selectAll('.bamboo-pin-group').remove();
+    pinLocations = locations || [];
+    drawPins();
+  }
+  
+  /**
+   * Cluster the current locations for the zoom level and draw them
+   */
+  function drawPins() {
+    // Keep keyboard focus on the same location when pins are redrawn, e.g. while zooming
+    const hadFocus = g.node().contains(document.activeElement);
     
-    if (!locations || locations.length === 0) {
-      return;
-    }
+    unspiderfy();
     
-    const maxCount = Math.max(...locations.map(l => l.employees.length));
     const scale = currentTransform.k;
+    clusterScale = scale;
+    
+    const clusters = clusterLocations(pinLocations, scale);
+    const maxCount = d3.max(clusters, c => c.employees.length) || 0;
+    clusters.forEach(cluster => {
+      cluster.radius = getPinRadius(cluster.employees.length, maxCount);
+      cluster.key = getPinKey(cluster);
+    });
+    
+    // Pins that would be drawn the same are kept, so a data refresh only redraws the pins that changed
+    const pins = g.selectAll('.bamboo-pin-group').data(clusters, d => d.key);
+    pins.exit().remove();
     
     // Create pin groups
-    const pinGroups = g.selectAll('.bamboo-pin-group')
-      .data(locations)
-      .enter()
+    const pinGroups = pins.enter()
       .append('g')
-      .attr('class', 'bamboo-pin-group')
-      .attr('transform', d => {
-        const [x, y] = projection([d.lng, d.lat]);
-        return `translate(${x}, ${y}) scale(${1/scale})`;
+      .attr('class', d => {
+        const classes = ['bamboo-pin-group'];
+        if (d.members.length > 1) classes.push('bamboo-pin-cluster');
+        if (pinColoring) classes.push('bamboo-pin-colored');
+        if (d.lowConfidence || d.ambiguous) classes.push('bamboo-pin-uncertain');
+        return classes.join(' ');
       })
+      .attr('role', 'button')
       .style('cursor', 'pointer')
-      .on('click', (event, d) => {
+      .on('click', function(event, d) {
         event.stopPropagation();
-        if (onPinClick) {
-          onPinClick(d, event);
-        }
-      });
+        activatePin(this, d, event);
+      })
+      .on('keydown', handlePinKeydown)
+      .on('focus', handlePinFocus)
+      .on('blur', hideTooltip);
     
     // Add pin circles
     pinGroups.append('circle')
       .attr('class', 'bamboo-pin')
-      .attr('r', d => getPinRadius(d.employees.length, maxCount))
+      .attr('r', d => d.radius)
       .attr('cx', 0)
       .attr('cy', 0);
     
@@ -232,13 +762,16 @@ const BambooMap = (function() {
       .attr('dy', '0.35em')
       .text(d => d.employees.length);
     
+    colorPins(pinGroups, d => d.radius);
+    badgePins(pinGroups, d => d.radius);
+    
     // Add hover effect
     pinGroups
       .on('mouseenter', function(event, d) {
         d3.select(this).select('.bamboo-pin')
           .transition()
           .duration(150)
-          .attr('r', d => getPinRadius(d.employees.length, maxCount) * 1.2);
+          .attr('r', d.radius * 1.2);
         
         showTooltip(event, d);
       })
@@ -246,16 +779,442 @@ const BambooMap = (function() {
         d3.select(this).select('.bamboo-pin')
           .transition()
           .duration(150)
-          .attr('r', d => getPinRadius(d.employees.length, maxCount));
+          .attr('r', d.radius);
         
         hideTooltip();
       });
+    
+    // Kept pins take the new data, such as who's there, and the new zoom level
+    pinGroups.merge(pins)
+      .attr('transform', d => `translate(${d.x}, ${d.y}) scale(${1/scale})`)
+      .attr('aria-label', getPinLabel);
+    
+    updateTabStop();
+    if (hadFocus && !g.node().contains(document.activeElement)) {
+      const tabStop = g.select('.bamboo-pin-group[tabindex="0"]').node();
+      if (tabStop) tabStop.focus();
+    }
+  }
+  
+  /**
+   * Identify a pin by everything drawn for it: place, size, count, outline and colors
+   */
+  function getPinKey(d) {
+    const segments = pinColoring
+      ? getPinSegments(d.employees).map(segment => `${segment.color}:${segment.count}`).join(',')
+      : '';
+    return [
+      d.name, d.x.toFixed(1), d.y.toFixed(1), d.radius.toFixed(2), d.employees.length,
+      d.members.length, d.lowConfidence, d.ambiguous, segments, getBadgeCount(d.employees)
+    ].join('|');
+  }
+  
+  /**
+   * Describe a pin for screen readers, e.g. "Berlin, Germany: 12 employees"
+   */
+  function getPinLabel(d) {
+    const count = d.employees.length;
+    const locationCount = d.members ? d.members.length : 1;
+    const notes = [];
+    if (d.lowConfidence) notes.push('approximate location');
+    if (d.ambiguous) notes.push('ambiguous location');
+    const badgeCount = getBadgeCount(d.employees);
+    if (badgeCount > 0) notes.push(pinBadge.describe(badgeCount));
+    
+    return `${d.name}: ${count} employee${count !== 1 ? 's' : ''}` +
+      `${locationCount > 1 ? ` in ${locationCount} locations` : ''}` +
+      `${notes.length > 0 ? `, ${notes.join(', ')}` : ''}`;
+  }
+  
+  /**
+   * Open a pin's employee list, or zoom into or fan out a cluster
+   * @param {Object} event - The click, or a position to open the list at
+   * @returns {boolean} - Whether this cluster was fanned out
+   */
+  function activatePin(element, d, event) {
+    if (d.members.length > 1) {
+      hideTooltip();
+      // Zoom in while that separates the locations, fan them out once it can't
+      if (!zoomToCluster(d)) {
+        spiderfy(element, d);
+        return true;
+      }
+      return false;
+    }
+    unspiderfy();
+    if (onPinClick) {
+      onPinClick(d, event);
+    }
+    return false;
+  }
+  
+  /**
+   * Make only one pin reachable with Tab: the one showing the last focused location
+   * Arrow keys move on from there, so the rest of the page is one Tab away.
+   */
+  function updateTabStop() {
+    const pins = g.selectAll('.bamboo-pin-group');
+    const target = focusedLocation ? findPin(focusedLocation) : null;
+    const tabStop = target ? target.element : pins.node();
+    pins.attr('tabindex', function() {
+      return this === tabStop ? 0 : -1;
+    });
+  }
+  
+  /**
+   * Show the tooltip of a focused pin and make it the Tab stop
+   */
+  function handlePinFocus(event, d) {
+    focusedLocation = d.members[0].name;
+    if (!this.classList.contains('bamboo-spider-pin')) {
+      updateTabStop();
+    }
+    
+    const rect = this.getBoundingClientRect();
+    showTooltip({ pageX: rect.right + window.scrollX, pageY: rect.top + window.scrollY }, d);
+  }
+  
+  /**
+   * Keyboard control of a pin: Enter or Space opens it, arrow keys move to the
+   * nearest pin in that direction, and Escape folds fanned-out pins back up
+   */
+  function handlePinKeydown(event, d) {
+    const isSpiderPin = this.classList.contains('bamboo-spider-pin');
+    
+    if (event.key === 'Enter' || event.key === ' ') {
+      event.preventDefault();
+      event.stopPropagation();
+      
+      // Open the list next to the pin, and come back here when it closes
+      const rect = this.getBoundingClientRect();
+      const position = {
+        clientX: rect.left + rect.width / 2,
+        clientY: rect.top + rect.height / 2,
+        returnFocus: () => focusPin(d.name)
+      };
+      if (isSpiderPin) {
+        if (onPinClick) onPinClick(d, position);
+        return;
+      }
+      // Move into the fan, but not into another cluster's that's still open
+      if (activatePin(this, d, position)) {
+        spiderGroup.select('.bamboo-spider-pin').node().focus();
+      }
+      return;
+    }
+    
+    if (event.key === 'Escape' && isSpiderPin) {
+      event.preventDefault();
+      event.stopPropagation();
+      unspiderfy();
+      focusPin(d.name);
+      return;
+    }
+    
+    const direction = ARROW_DIRECTIONS[event.key];
+    if (!direction) return;
+    
+    event.preventDefault();
+    const next = findNeighborPin(this, direction);
+    if (next) {
+      focusPinElement(next);
+    }
+  }
+  
+  /**
+   * Screen position of a pin; fanned-out pins are placed relative to their cluster
+   */
+  function getPinPoint(element) {
+    const d = d3.select(element).datum();
+    return element.classList.contains('bamboo-spider-pin') ? d.offset : currentTransform.apply([d.x, d.y]);
+  }
+  
+  /**
+   * Find the nearest pin in a direction, favoring pins straight ahead over ones off to the side
+   * Fanned-out pins only lead to each other.
+   */
+  function findNeighborPin(element, [dx, dy]) {
+    const candidates = element.classList.contains('bamboo-spider-pin')
+      ? spiderGroup.selectAll('.bamboo-spider-pin').nodes()
+      : g.selectAll('.bamboo-pin-group').nodes();
+    const [x0, y0] = getPinPoint(element);
+    
+    let best = null;
+    let bestScore = Infinity;
+    candidates.forEach(candidate => {
+      if (candidate === element) return;
+      const [x, y] = getPinPoint(candidate);
+      const along = (x - x0) * dx + (y - y0) * dy;
+      if (along <= 0) return;
+      
+      const across = Math.abs((x - x0) * dy - (y - y0) * dx);
+      const score = along + 2 * across;
+      if (score < bestScore) {
+        best = candidate;
+        bestScore = score;
+      }
+    });
+    return best;
+  }
+  
+  /**
+   * Focus a pin, panning the map first when it's out of view
+   */
+  function focusPinElement(element) {
+    if (!element.classList.contains('bamboo-spider-pin')) {
+      const [x, y] = getPinPoint(element);
+      if (x < 0 || x > width || y < 0 || y > height) {
+        const d = d3.select(element).datum();
+        svg.transition().duration(config.transitionDuration).call(zoom.translateTo, d.x, d.y);
+      }
+    }
+    element.focus();
+  }
+  
+  /**
+   * Move keyboard focus to a location's pin, e.g. when its employee list closes
+   * A fanned-out pin is focused if it's still open, otherwise the pin showing the location.
+   */
+  function focusPin(name) {
+    if (!g) return;
+    
+    const spiderPin = spiderGroup
+      ? spiderGroup.selectAll('.bamboo-spider-pin').filter(d => d.name === name).node()
+      : null;
+    const target = spiderPin || (findPin(name) || {}).element;
+    if (target) {
+      target.focus();
+    }
+  }
+  
+  /**
+   * Color pins by category: one color for a single category, pie slices for a mix
+   * @param {d3.Selection} pins - Pin groups with a circle and, for several employees, a count label
+   * @param {Function} getRadius - Pin radius for a pin's data
+   */
+  function colorPins(pins, getRadius) {
+    if (!pinColoring) return;
+    
+    pins.each(function(d) {
+      const pin = d3.select(this);
+      const segments = getPinSegments(d.employees);
+      if (segments.length === 1) {
+        pin.select('.bamboo-pin').style('fill', segments[0].color);
+        return;
+      }
+      
+      const arc = d3.arc().innerRadius(0).outerRadius(getRadius(d));
+      pin.insert('g', '.bamboo-pin-label')
+        .attr('class', 'bamboo-pin-segments')
+        .selectAll('path')
+        .data(d3.pie().sort(null).value(segment => segment.count)(segments))
+        .enter()
+        .append('path')
+        .attr('d', arc)
+        .style('fill', slice => slice.data.color);
+    });
+  }
+  
+  /**
+   * Count a pin's employees per color category, in legend order
+   * @returns {Array<{label: string, color: string, count: number}>}
+   */
+  function getPinSegments(employees) {
+    const counts = d3.rollup(employees, group => group.length, emp => pinColoring.getCategory(emp));
+    return pinColoring.categories
+      .filter(category => counts.has(category.key))
+      .map(category => ({ label: category.label, color: category.color, count: counts.get(category.key) }));
+  }
+  
+  /**
+   * Color pins by a category of their employees, e.g. department
+   * Applied the next time pins are drawn.
+   * @param {Object|null} coloring - {categories: [{key, label, color}], getCategory: employee => key};
+   *   null for plain pins
+   */
+  function setPinColors(coloring) {
+    pinColoring = coloring;
+  }
+  
+  /**
+   * Count a pin's employees that get a badge
+   */
+  function getBadgeCount(employees) {
+    return pinBadge ? employees.filter(pinBadge.matches).length : 0;
+  }
+  
+  /**
+   * Add a badge to the top right of pins with matching employees, e.g. new hires
+   * @param {d3.Selection} pins - Pin groups with a circle
+   * @param {Function} getRadius - Pin radius for a pin's data
+   */
+  function badgePins(pins, getRadius) {
+    if (!pinBadge) return;
+    
+    const offset = d => getRadius(d) * Math.SQRT1_2;
+    pins.filter(d => getBadgeCount(d.employees) > 0)
+      .append('circle')
+      .attr('class', 'bamboo-pin-badge')
+      .attr('r', config.badgeRadius)
+      .attr('cx', offset)
+      .attr('cy', d => -offset(d));
+  }
+  
+  /**
+   * Badge pins that include certain employees, e.g. new hires
+   * Applied the next time pins are drawn.
+   * @param {Object|null} badge - {matches: employee => boolean, describe: count => string for
+   *   tooltips and screen readers, e.g. "2 new hires"}; null for no badges
+   */
+  function setPinBadge(badge) {
+    pinBadge = badge;
+  }
+  
+  /**
+   * Offsets (in screen pixels) for fanned-out pins: a circle for a few,
+   * an outward spiral when a circle would get crowded
+   */
+  function getSpiderOffsets(count) {
+    if (count <= config.spiderCircleMax) {
+      return d3.range(count).map(i => {
+        const angle = (2 * Math.PI * i) / count - Math.PI / 2;
+        return [config.spiderRadius * Math.cos(angle), config.spiderRadius * Math.sin(angle)];
+      });
+    }
+    
+    let angle = 0;
+    let legLength = config.spiderSpiralStart;
+    return d3.range(count).map(() => {
+      angle += config.spiderSpiralSeparation / legLength;
+      const offset = [legLength * Math.cos(angle), legLength * Math.sin(angle)];
+      legLength += (2 * Math.PI * config.spiderSpiralGrowth) / angle;
+      return offset;
+    });
+  }
+  
+  /**
+   * Fan out the locations of a cluster that can't be split by zooming,
+   * with leader lines back to where they are, so each can be picked on its own
+   */
+  function spiderfy(pinElement, cluster) {
+    unspiderfy();
+    
+    const scale = currentTransform.k;
+    const offsets = getSpiderOffsets(cluster.members.length);
+    const maxCount = Math.max(...cluster.members.map(m => m.employees.length));
+    const legs = cluster.members.map((member, i) => ({ ...member, members: [member], offset: offsets[i] }));
+    
+    d3.select(pinElement).classed('bamboo-pin-spiderfied', true);
+    
+    spiderGroup = g.append('g')
+      .attr('class', 'bamboo-spider')
+      .attr('transform', `translate(${cluster.x}, ${cluster.y}) scale(${1/scale})`);
+    
+    spiderGroup.selectAll('.bamboo-spider-leg')
+      .data(legs)
+      .enter()
+      .append('line')
+      .attr('class', 'bamboo-spider-leg')
+      .attr('x1', 0)
+      .attr('y1', 0)
+      .attr('x2', d => d.offset[0])
+      .attr('y2', d => d.offset[1]);
+    
+    const pins = spiderGroup.selectAll('.bamboo-spider-pin')
+      .data(legs)
+      .enter()
+      .append('g')
+      .attr('class', d => {
+        const classes = ['bamboo-spider-pin'];
+        if (d.lowConfidence || d.ambiguous) classes.push('bamboo-pin-uncertain');
+        if (pinColoring) classes.push('bamboo-pin-colored');
+        return classes.join(' ');
+      })
+      .attr('transform', d => `translate(${d.offset[0]}, ${d.offset[1]})`)
+      .attr('role', 'button')
+      .attr('aria-label', getPinLabel)
+      .attr('tabindex', -1)
+      .style('cursor', 'pointer')
+      .on('click', (event, d) => {
+        event.stopPropagation();
+        if (onPinClick) {
+          onPinClick(d, event);
+        }
+      })
+      .on('keydown', handlePinKeydown)
+      .on('focus', handlePinFocus)
+      .on('blur', hideTooltip)
+      .on('mouseenter', (event, d) => showTooltip(event, d))
+      .on('mouseleave', hideTooltip);
+    
+    pins.append('circle')
+      .attr('class', 'bamboo-pin')
+      .attr('r', d => getPinRadius(d.employees.length, maxCount));
+    
+    pins.filter(d => d.employees.length > 1)
+      .append('text')
+      .attr('class', 'bamboo-pin-label')
+      .attr('text-anchor', 'middle')
+      .attr('dy', '0.35em')
+      .text(d => d.employees.length);
+    
+    colorPins(pins, d => getPinRadius(d.employees.length, maxCount));
+    badgePins(pins, d => getPinRadius(d.employees.length, maxCount));
+  }
+  
+  /**
+   * Collapse fanned-out pins back into their cluster
+   */
+  function unspiderfy() {
+    if (!spiderGroup) return;
+    
+    spiderGroup.remove();
+    spiderGroup = null;
+    g.selectAll('.bamboo-pin-spiderfied').classed('bamboo-pin-spiderfied', false);
   }
   
   /**
    * Show tooltip on pin hover
    */
   function showTooltip(event, data) {
+    const count = data.employees.length;
+    const locationCount = data.members ? data.members.length : 1;
+    const localTime = BambooTimeZones.getLocalTime(data.timeZone);
+    const segments = pinColoring ? getPinSegments(data.employees) : [];
+    const badgeCount = getBadgeCount(data.employees);
+    // The largest categories at a mixed pin, most common first
+    const largest = [...segments].sort((a, b) => b.count - a.count).slice(0, config.tooltipCategories);
+    const more = segments.length - largest.length;
+    const breakdown = segments.length > 1
+      ? largest.map(segment => `${escapeHtml(segment.label)}: ${segment.count}`).join('<br>') + (more > 0 ? `<br>+ ${more} more` : '')
+      : '';
+    renderTooltip(event, `
+      <strong>${escapeHtml(data.name)}</strong><br>
+      ${count} employee${count !== 1 ? 's' : ''}${locationCount > 1 ? ` in ${locationCount} locations` : ''}
+      ${breakdown ? `<span class="bamboo-map-tooltip-breakdown">${breakdown}</span>` : ''}
+      ${badgeCount > 0 ? `<span class="bamboo-map-tooltip-badge">${escapeHtml(pinBadge.describe(badgeCount))}</span>` : ''}
+      ${localTime ? `<span class="bamboo-map-tooltip-time">${escapeHtml(localTime.time)} local time (${escapeHtml(localTime.offset)})</span>` : ''}
+      ${locationCount > 1 ? '<span class="bamboo-map-tooltip-hint">Click to show each location</span>' : ''}
+      ${data.lowConfidence ? '<span class="bamboo-map-tooltip-note">Approximate location match</span>' : ''}
+      ${data.ambiguous ? '<span class="bamboo-map-tooltip-note">Ambiguous location, may be elsewhere</span>' : ''}
+    `);
+  }
+  
+  /**
+   * Show tooltip with a country's headcount in choropleth mode
+   */
+  function showCountryTooltip(event, feature) {
+    const count = countryCounts.get(feature.properties.iso) || 0;
+    renderTooltip(event, `
+      <strong>${escapeHtml(feature.properties.name)}</strong><br>
+      ${count} employee${count !== 1 ? 's' : ''}
+    `);
+  }
+  
+  /**
+   * Fill and position the shared tooltip next to the cursor
+   */
+  function renderTooltip(event, html) {
     let tooltip = document.querySelector('.bamboo-map-tooltip');
     if (!tooltip) {
       tooltip = document.createElement('div');
@@ -263,12 +1222,7 @@ const BambooMap = (function() {
       document.body.appendChild(tooltip);
     }
     
-    const count = data.employees.length;
-    tooltip.innerHTML = `
-      <strong>${escapeHtml(data.name)}</strong><br>
-      ${count} employee${count !== 1 ? 's' : ''}
-    `;
-    
+    tooltip.innerHTML = html;
     tooltip.style.left = `${event.pageX + 10}px`;
     tooltip.style.top = `${event.pageY + 10}px`;
     tooltip.style.display = 'block';
@@ -286,11 +1240,12 @@ const BambooMap = (function() {
   
   /**
    * Zoom to a specific location
+   * @returns {Promise} - Settles when the animation ends or is interrupted
    */
   function zoomToLocation(lat, lng, zoomLevel = 4) {
     const [x, y] = projection([lng, lat]);
     
-    svg.transition()
+    return svg.transition()
       .duration(750)
       .call(
         zoom.transform,
@@ -298,7 +1253,120 @@ const BambooMap = (function() {
           .translate(width / 2, height / 2)
           .scale(zoomLevel)
           .translate(-x, -y)
-      );
+      )
+      .end()
+      .catch(() => {
+        // Interrupted by the user zooming or panning
+      });
+  }
+  
+  /**
+   * Get the zoom level and the coordinates at the center of the view
+   * @returns {{k: number, lat: number, lng: number}|null} - null for the default view
+   */
+  function getView() {
+    const t = currentTransform;
+    if (!projection || (Math.abs(t.k - 1) < 0.01 && Math.abs(t.x) < 1 && Math.abs(t.y) < 1)) {
+      return null;
+    }
+    
+    const [lng, lat] = projection.invert(t.invert([width / 2, height / 2]));
+    return { k: t.k, lat, lng };
+  }
+  
+  /**
+   * Jump to a view from getView(), or back to the default view for null
+   * Coordinates rather than pixels are stored, so the view survives other screen sizes.
+   */
+  function setView(view) {
+    if (!svg) return;
+    
+    if (!view) {
+      svg.call(zoom.transform, d3.zoomIdentity);
+      return;
+    }
+    
+    const [x, y] = projection([view.lng, view.lat]);
+    const k = Math.max(config.minZoom, Math.min(config.maxZoom, view.k));
+    svg.call(
+      zoom.transform,
+      d3.zoomIdentity
+        .translate(width / 2, height / 2)
+        .scale(k)
+        .translate(-x, -y)
+    );
+  }
+  
+  /**
+   * Find the pin showing a location, on its own or as part of a cluster
+   * @returns {{data: Object, pin: Object, element: SVGGElement}|null} - data is the location's own pin data
+   */
+  function findPin(name) {
+    let target = null;
+    g.selectAll('.bamboo-pin-group').each(function(d) {
+      if (target) return;
+      if (d.name === name) {
+        target = { data: d, pin: d, element: this };
+        return;
+      }
+      const member = d.members.find(m => m.name === name);
+      if (member) {
+        target = { data: { ...member, members: [member] }, pin: d, element: this };
+      }
+    });
+    return target;
+  }
+  
+  /**
+   * Highlight a location's pin, e.g. while its person is hovered elsewhere on the page
+   * @param {string|null} name - Location name; null removes the highlight
+   */
+  function highlightPin(name) {
+    if (!g) return;
+    
+    g.selectAll('.bamboo-pin-highlight').classed('bamboo-pin-highlight', false);
+    const target = name ? findPin(name) : null;
+    if (target) {
+      d3.select(target.element).classed('bamboo-pin-highlight', true).raise();
+    }
+  }
+  
+  /**
+   * Draw attention to a location's pin with a short pulse
+   */
+  function pulsePin(name) {
+    if (!g) return;
+    
+    const target = findPin(name);
+    if (!target) return;
+    
+    const radius = Number(d3.select(target.element).select('.bamboo-pin').attr('r')) || config.pinBaseRadius;
+    const pulse = d3.select(target.element)
+      .insert('circle', ':first-child')
+      .attr('class', 'bamboo-pin-pulse')
+      .attr('r', radius);
+    setTimeout(() => pulse.remove(), config.pulseDuration);
+  }
+  
+  /**
+   * Open the employee list of a location by name, as if its pin was clicked
+   * Locations merged into a cluster at the current zoom open on their own.
+   * @returns {boolean} - Whether the location is on the map
+   */
+  function openPin(name) {
+    if (!g || !onPinClick) return false;
+    
+    const target = findPin(name);
+    if (!target) return false;
+    
+    // Position the popup as if the pin itself was clicked
+    const rect = svg.node().getBoundingClientRect();
+    const [x, y] = currentTransform.apply([target.pin.x, target.pin.y]);
+    onPinClick(target.data, {
+      clientX: rect.left + x * (rect.width / width),
+      clientY: rect.top + y * (rect.height / height)
+    });
+    return true;
   }
   
   /**
@@ -326,6 +1394,11 @@ const BambooMap = (function() {
     // Re-render
     g.selectAll('.bamboo-country').attr('d', path);
     g.selectAll('.bamboo-country-border').attr('d', path);
+    g.select('.bamboo-timezones').remove();
+    renderTimeZoneBands();
+    g.select('.bamboo-timezones').lower();
+    drawPins();
+    drawReportingLines();
   }
   
   /**
@@ -339,6 +1412,14 @@ const BambooMap = (function() {
     if (tooltip) {
       tooltip.remove();
     }
+    if (legendElement) {
+      legendElement.remove();
+      legendElement = null;
+    }
+    if (imageMenuElement) {
+      imageMenuElement.remove();
+      imageMenuElement = null;
+    }
     svg = null;
     g = null;
     projection = null;
@@ -349,6 +1430,21 @@ const BambooMap = (function() {
   return {
     init,
     renderPins,
+    setCountryCounts,
+    setMode,
+    getMode: () => mode,
+    setTimeZonesVisible,
+    setListViewVisible,
+    setReportingLines,
+    setPinColors,
+    setPinBadge,
+    exportImage,
+    getView,
+    setView,
+    openPin,
+    focusPin,
+    pulsePin,
+    highlightPin,
     zoomToLocation,
     resetView,
     resize,
@@ -0,0 +1,299 @@
+/**
+ * BambooHR Employee Map - Options Page
+ * Edits the user's location aliases stored in chrome.storage.sync
+ */
+
+(function() {
+  'use strict';
+  
+  const PREVIEW_DELAY = 250;
+  
+  const TARGET_TYPES = [
+    { value: 'city', label: 'City' },
+    { value: 'country', label: 'Country code' },
+    { value: 'coordinates', label: 'Coordinates' }
+  ];
+  
+  let rows = [];
+  let previewTimer = null;
+  
+  const tbody = document.querySelector('.bamboo-options-rows');
+  const statusEl = document.querySelector('.bamboo-options-status');
+  
+  /**
+   * Create an empty alias row
+   */
+  function createRow(location = '', target = { type: 'city', value: '' }) {
+    return {
+      location,
+      type: target.type || 'city',
+      value: target.value || '',
+      lat: target.lat ?? '',
+      lng: target.lng ?? '',
+      label: target.label || '',
+      countryCode: target.countryCode || ''
+    };
+  }
+  
+  /**
+   * Read a latitude or longitude, or null when it's blank, not a number or beyond ±limit
+   * Number('') is 0, so blank fields would otherwise put the office at 0, 0.
+   */
+  function parseCoordinate(value, limit) {
+    const text = String(value).trim();
+    if (!text) return null;
+    const number = Number(text);
+    return Number.isFinite(number) && Math.abs(number) <= limit ? number : null;
+  }
+  
+  /**
+   * Check that a coordinates row has a usable latitude and longitude
+   */
+  function hasValidCoordinates(row) {
+    return parseCoordinate(row.lat, 90) !== null && parseCoordinate(row.lng, 180) !== null;
+  }
+  
+  /**
+   * Convert a row into the stored override target
+   */
+  function toTarget(row) {
+    if (row.type === 'coordinates') {
+      const target = { type: 'coordinates', lat: parseCoordinate(row.lat, 90), lng: parseCoordinate(row.lng, 180) };
+      if (row.label.trim()) target.label = row.label.trim();
+      if (row.countryCode.trim()) target.countryCode = row.countryCode.trim().toUpperCase();
+      return target;
+    }
+    return { type: row.type, value: row.value.trim() };
+  }
+  
+  /**
+   * Collect the complete rows as stored overrides keyed by location string
+   */
+  function collectOverrides() {
+    const entries = {};
+    rows.forEach(row => {
+      if (row.type === 'coordinates' && !hasValidCoordinates(row)) return;
+      if (row.location.trim()) {
+        entries[row.location.trim()] = toTarget(row);
+      }
+    });
+    return entries;
+  }
+  
+  /**
+   * Create a text input bound to a row property
+   */
+  function createInput(row, property, placeholder, className) {
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.className = `bamboo-options-input ${className || ''}`.trim();
+    input.placeholder = placeholder;
+    input.value = row[property];
+    input.addEventListener('input', () => {
+      row[property] = input.value;
+      schedulePreview();
+    });
+    return input;
+  }
+  
+  /**
+   * Render the target inputs for a row's type
+   */
+  function renderTargetCell(container, row) {
+    container.innerHTML = '';
+    
+    if (row.type === 'coordinates') {
+      container.appendChild(createInput(row, 'lat', 'Latitude', 'bamboo-options-input-short'));
+      container.appendChild(createInput(row, 'lng', 'Longitude', 'bamboo-options-input-short'));
+      container.appendChild(createInput(row, 'label', 'Label (optional)'));
+      container.appendChild(createInput(row, 'countryCode', 'Country code (optional)', 'bamboo-options-input-short'));
+    } else if (row.type === 'country') {
+      container.appendChild(createInput(row, 'value', 'e.g. SK', 'bamboo-options-input-short'));
+    } else {
+      container.appendChild(createInput(row, 'value', 'e.g. Bratislava or Portland, Maine'));
+    }
+  }
+  
+  /**
+   * Render one alias row
+   */
+  function renderRow(row, index) {
+    const tr = document.createElement('tr');
+    
+    const locationCell = document.createElement('td');
+    locationCell.appendChild(createInput(row, 'location', 'e.g. HQ'));
+    
+    const typeCell = document.createElement('td');
+    const select = document.createElement('select');
+    select.className = 'bamboo-options-select';
+    TARGET_TYPES.forEach(type => {
+      const option = new Option(type.label, type.value);
+      if (type.value === row.type) option.selected = true;
+      select.appendChild(option);
+    });
+    typeCell.appendChild(select);
+    
+    const targetCell = document.createElement('td');
+    const targetInputs = document.createElement('div');
+    targetInputs.className = 'bamboo-options-target';
+    targetCell.appendChild(targetInputs);
+    renderTargetCell(targetInputs, row);
+    
+    select.addEventListener('change', () => {
+      row.type = select.value;
+      renderTargetCell(targetInputs, row);
+      schedulePreview();
+    });
+    
+    const previewCell = document.createElement('td');
+    previewCell.className = 'bamboo-options-preview';
+    
+    const removeCell = document.createElement('td');
+    const removeBtn = document.createElement('button');
+    removeBtn.type = 'button';
+    removeBtn.className = 'bamboo-options-remove';
+    removeBtn.setAttribute('aria-label', 'Remove alias');
+    removeBtn.innerHTML = '&times;';
+    removeBtn.addEventListener('click', () => {
+      rows.splice(index, 1);
+      render();
+    });
+    removeCell.appendChild(removeBtn);
+    
+    tr.append(locationCell, typeCell, targetCell, previewCell, removeCell);
+    return tr;
+  }
+  
+  /**
+   * Render all rows
+   */
+  function render() {
+    tbody.innerHTML = '';
+    rows.forEach((row, index) => tbody.appendChild(renderRow(row, index)));
+    schedulePreview();
+  }
+  
+  /**
+   * Debounce preview updates while typing
+   */
+  function schedulePreview() {
+    clearTimeout(previewTimer);
+    previewTimer = setTimeout(updatePreview, PREVIEW_DELAY);
+  }
+  
+  /**
+   * Show what each alias resolves to using the unsaved values
+   */
+  async function updatePreview() {
+    BambooGeocoder.setOverrides(collectOverrides());
+    
+    const cells = tbody.querySelectorAll('.bamboo-options-preview');
+    for (let i = 0; i < rows.length; i++) {
+      const cell = cells[i];
+      if (!cell) continue;
+      
+      const location = rows[i].location.trim();
+      const result = location ? await BambooGeocoder.geocode(location) : null;
+      
+      let note = '';
+      if (BambooGeocoder.isLowConfidence(result)) {
+        note = ', approximate match';
+      } else if (BambooGeocoder.isAmbiguous(result)) {
+        note = ', ambiguous';
+      }
+      cell.textContent = result
+        ? `${result.name} (${result.lat.toFixed(2)}, ${result.lng.toFixed(2)}${note})`
+        : (location ? 'Not found' : '');
+      cell.classList.toggle('bamboo-options-preview-error', Boolean(location && !result));
+    }
+  }
+  
+  /**
+   * Show a status message next to the save button
+   */
+  function setStatus(message, isError = false) {
+    statusEl.textContent = message;
+    statusEl.classList.toggle('bamboo-options-status-error', isError);
+  }
+  
+  /**
+   * Say what's wrong with each row, or null for rows that can be saved
+   * Locations are compared the way the geocoder looks them up, so "HQ" and "hq." are the same.
+   */
+  function validateRows() {
+    const seen = new Set();
+    return rows.map(row => {
+      if (row.type === 'coordinates' && !hasValidCoordinates(row)) {
+        return 'Enter a latitude between -90 and 90 and a longitude between -180 and 180.';
+      }
+      
+      const key = BambooGeocoder.normalize(row.location.trim());
+      if (!key) return null;
+      if (seen.has(key)) {
+        return 'Each location can only have one alias.';
+      }
+      seen.add(key);
+      return null;
+    });
+  }
+  
+  /**
+   * Mark the rows that can't be saved
+   */
+  function markInvalidRows(problems) {
+    Array.from(tbody.children).forEach((tr, index) => {
+      const invalid = Boolean(problems[index]);
+      tr.classList.toggle('bamboo-options-row-invalid', invalid);
+      tr.title = problems[index] || '';
+      tr.querySelectorAll('.bamboo-options-input').forEach(input => {
+        input.setAttribute('aria-invalid', String(invalid));
+      });
+    });
+  }
+  
+  /**
+   * Save aliases to synced storage
+   */
+  async function save() {
+    const problems = validateRows();
+    markInvalidRows(problems);
+    const problem = problems.find(Boolean);
+    if (problem) {
+      setStatus(problem, true);
+      return;
+    }
+    
+    try {
+      await BambooGeocoder.saveOverrides(collectOverrides());
+      setStatus('Saved.');
+    } catch (error) {
+      setStatus('Could not save aliases. Chrome sync storage may be full.', true);
+    }
+  }
+  
+  /**
+   * Load stored aliases and render the page
+   */
+  async function init() {
+    await BambooGeocoder.init();
+    const stored = await BambooGeocoder.loadOverrides();
+    
+    rows = Object.entries(stored).map(([location, target]) => createRow(location, target));
+    if (rows.length === 0) {
+      rows.push(createRow());
+    }
+    
+    render();
+    
+    document.querySelector('.bamboo-options-add').addEventListener('click', () => {
+      rows.push(createRow());
+      render();
+      const inputs = tbody.querySelectorAll('tr:last-child .bamboo-options-input');
+      if (inputs.length) inputs[0].focus();
+    });
+    
+    document.querySelector('.bamboo-options-save').addEventListener('click', save);
+  }
+  
+  init();
+})();
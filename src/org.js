@@ -0,0 +1,276 @@
+/**
+ * Reporting lines for BambooHR Map
+ * Works out who reports to whom from the directory's supervisor fields and
+ * draws a selected manager's team on the map as great-circle arcs
+ */
+
+const BambooOrg = (function() {
+  let employeesById = new Map();
+  let reportsByManager = new Map();
+  let locationsById = new Map();
+  let barElement = null;
+  let selectedId = null;
+  let scope = 'direct';
+  
+  /**
+   * Normalize a person's name for matching the free-text supervisor field
+   */
+  function normalizeName(name) {
+    return (name || '').toLowerCase().replace(/\s+/g, ' ').trim();
+  }
+  
+  /**
+   * Index everyone by the names a supervisor field might use for them.
+   * Names shared by several people are dropped, since they can't be told apart.
+   */
+  function indexNames(employees) {
+    const byName = new Map();
+    const shared = new Set();
+    
+    employees.forEach(emp => {
+      const names = new Set([
+        normalizeName(`${emp.firstName} ${emp.lastName}`),
+        normalizeName(`${emp.displayFirstName} ${emp.lastName}`),
+        normalizeName(`${emp.lastName}, ${emp.firstName}`),
+        normalizeName(emp.displayName)
+      ]);
+      names.forEach(name => {
+        if (!name || name === ',') return;
+        if (byName.has(name) && byName.get(name) !== emp.id) {
+          shared.add(name);
+        }
+        byName.set(name, emp.id);
+      });
+    });
+    
+    shared.forEach(name => byName.delete(name));
+    return byName;
+  }
+  
+  /**
+   * Find an employee's supervisor, by id when the directory has one and by name otherwise
+   */
+  function resolveSupervisorId(emp, byName) {
+    if (emp.supervisorId && employeesById.has(String(emp.supervisorId))) {
+      return String(emp.supervisorId);
+    }
+    if (emp.supervisor) {
+      return byName.get(normalizeName(emp.supervisor)) || null;
+    }
+    return null;
+  }
+  
+  /**
+   * Build the reporting relationships for the whole directory
+   * @param {Array} employees - Validated employees, including those without a location,
+   *   with {id, firstName, lastName, displayName, supervisorId, supervisor}
+   */
+  function init(employees) {
+    employeesById = new Map();
+    reportsByManager = new Map();
+    
+    employees.forEach(emp => employeesById.set(String(emp.id), { ...emp, id: String(emp.id) }));
+    const byName = indexNames(Array.from(employeesById.values()));
+    
+    employeesById.forEach(emp => {
+      const managerId = resolveSupervisorId(emp, byName);
+      if (!managerId || managerId === emp.id) return;
+      
+      if (!reportsByManager.has(managerId)) {
+        reportsByManager.set(managerId, []);
+      }
+      reportsByManager.get(managerId).push(emp.id);
+    });
+    
+    if (selectedId) update();
+  }
+  
+  /**
+   * Set where each employee is on the map
+   * @param {Map<string, Object>} locations - Employee id to {lat, lng, name}
+   */
+  function setLocations(locations) {
+    locationsById = new Map(Array.from(locations, ([id, location]) => [String(id), location]));
+    if (selectedId) update();
+  }
+  
+  /**
+   * Get an employee's direct reports
+   */
+  function getDirectReports(id) {
+    return (reportsByManager.get(String(id)) || []).map(reportId => employeesById.get(reportId));
+  }
+  
+  /**
+   * Walk a manager's team, breadth first
+   * @param {string} managerId
+   * @param {boolean} wholeTree - Follow reports of reports
+   * @returns {Array<{managerId: string, reportId: string, depth: number}>} - One link per report
+   */
+  function getTeamLinks(managerId, wholeTree) {
+    const links = [];
+    const visited = new Set([managerId]);
+    const queue = [{ id: managerId, depth: 0 }];
+    
+    while (queue.length > 0) {
+      const { id, depth } = queue.shift();
+      if (depth > 0 && !wholeTree) break;
+      
+      (reportsByManager.get(id) || []).forEach(reportId => {
+        // Guard against supervisor loops in the data
+        if (visited.has(reportId)) return;
+        visited.add(reportId);
+        links.push({ managerId: id, reportId, depth: depth + 1 });
+        queue.push({ id: reportId, depth: depth + 1 });
+      });
+    }
+    
+    return links;
+  }
+  
+  /**
+   * Format a person's name
+   */
+  function getName(emp) {
+    return `${emp.displayFirstName || emp.firstName} ${emp.lastName}`.trim() || emp.displayName;
+  }
+  
+  /**
+   * Create the bar describing the selected team, in the map container
+   */
+  function createBar() {
+    const container = document.querySelector('div.bamboo-map-container');
+    if (barElement && barElement.isConnected) return barElement;
+    if (!container) return null;
+    
+    barElement = document.createElement('div');
+    barElement.className = 'bamboo-map-team';
+    barElement.innerHTML = `
+      <span class="bamboo-map-team-summary"></span>
+      <button class="bamboo-map-team-scope" aria-pressed="false" title="Include reports of reports">Whole tree</button>
+      <button class="bamboo-map-team-close" aria-label="Hide reporting lines">&times;</button>
+    `;
+    
+    barElement.querySelector('.bamboo-map-team-scope').addEventListener('click', () => {
+      setScope(scope === 'tree' ? 'direct' : 'tree');
+    });
+    barElement.querySelector('.bamboo-map-team-close').addEventListener('click', clearTeam);
+    
+    container.appendChild(barElement);
+    return barElement;
+  }
+  
+  /**
+   * Check if two people are at the same place on the map
+   */
+  function isSamePlace(a, b) {
+    return a.lat === b.lat && a.lng === b.lng;
+  }
+  
+  /**
+   * Describe the selected team and how much of it is on the map
+   */
+  function getSummary(manager, links) {
+    const name = getName(manager);
+    if (!locationsById.has(manager.id)) {
+      return `${name} isn't on the map, so their team can't be drawn`;
+    }
+    
+    const count = links.length;
+    const people = scope === 'tree'
+      ? `${count} ${count === 1 ? 'person' : 'people'} in the reporting tree`
+      : `${count} direct report${count !== 1 ? 's' : ''}`;
+    const places = new Set(links
+      .filter(link => locationsById.has(link.reportId))
+      .map(link => locationsById.get(link.reportId).name));
+    const missing = links.filter(link => !locationsById.has(link.reportId)).length;
+    const colocated = links.filter(link => {
+      const from = locationsById.get(link.managerId);
+      const to = locationsById.get(link.reportId);
+      return from && to && isSamePlace(from, to);
+    }).length;
+    
+    let summary = `${name} · ${people} in ${places.size} location${places.size !== 1 ? 's' : ''}`;
+    if (colocated > 0) {
+      summary += `, ${colocated} in the same place as their manager`;
+    }
+    if (missing > 0) {
+      summary += ` (${missing} not on the map)`;
+    }
+    return summary;
+  }
+  
+  /**
+   * Redraw the lines and the bar for the selected team
+   */
+  function update() {
+    const manager = employeesById.get(selectedId);
+    if (!manager) {
+      clearTeam();
+      return;
+    }
+    
+    const links = getTeamLinks(selectedId, scope === 'tree');
+    
+    // Links with both ends on the map, apart from people in the same place
+    const lines = links
+      .map(link => ({
+        from: locationsById.get(link.managerId),
+        to: locationsById.get(link.reportId),
+        depth: link.depth
+      }))
+      .filter(line => line.from && line.to && !isSamePlace(line.from, line.to));
+    
+    BambooMap.setReportingLines(lines);
+    
+    const bar = createBar();
+    if (!bar) return;
+    bar.querySelector('.bamboo-map-team-summary').textContent = getSummary(manager, links);
+    bar.querySelector('.bamboo-map-team-scope').setAttribute('aria-pressed', String(scope === 'tree'));
+    bar.hidden = false;
+  }
+  
+  /**
+   * Draw lines from a manager to their team
+   */
+  function showTeam(managerId) {
+    selectedId = String(managerId);
+    scope = 'direct';
+    update();
+  }
+  
+  /**
+   * Switch between direct reports ('direct') and the whole reporting tree ('tree')
+   */
+  function setScope(newScope) {
+    scope = newScope === 'tree' ? 'tree' : 'direct';
+    if (selectedId) update();
+  }
+  
+  /**
+   * Remove the reporting lines
+   */
+  function clearTeam() {
+    selectedId = null;
+    BambooMap.setReportingLines([]);
+    if (barElement) {
+      barElement.hidden = true;
+    }
+  }
+  
+  // Public API
+  return {
+    init,
+    setLocations,
+    getDirectReports,
+    getTeamLinks,
+    showTeam,
+    setScope,
+    clearTeam
+  };
+})();
+
+// Export for use in other scripts
+if (typeof window !== 'undefined') {
+  window.BambooOrg = BambooOrg;
+}
@@ -0,0 +1,267 @@
+/**
+ * Meeting planner panel for BambooHR Map
+ * Lays out each selected person's working hours on a shared 24-hour strip
+ * and highlights the windows when everyone is within working hours
+ */
+
+const BambooPlanner = (function() {
+  const WORK_START = 9;
+  const WORK_END = 17;
+  const SLOT_MINUTES = 15;
+  const SLOTS_PER_DAY = (24 * 60) / SLOT_MINUTES;
+  
+  let panelElement = null;
+  let people = [];
+  let isOpen = false;
+  
+  /**
+   * Create the panel element if it doesn't exist
+   */
+  function createPanel() {
+    if (panelElement) return panelElement;
+    
+    panelElement = document.createElement('div');
+    panelElement.className = 'bamboo-planner';
+    panelElement.setAttribute('role', 'dialog');
+    panelElement.setAttribute('aria-label', 'Meeting planner');
+    panelElement.innerHTML = `
+      <div class="bamboo-planner-header">
+        <h3 class="bamboo-planner-title">Meeting planner</h3>
+        <button class="bamboo-planner-close" aria-label="Close">&times;</button>
+      </div>
+      <div class="bamboo-planner-summary"></div>
+      <div class="bamboo-planner-content">
+        <div class="bamboo-planner-axis"></div>
+        <ul class="bamboo-planner-rows"></ul>
+        <p class="bamboo-planner-unknown" hidden></p>
+      </div>
+    `;
+    
+    panelElement.querySelector('.bamboo-planner-close').addEventListener('click', close);
+    
+    // Remove a person from the plan
+    panelElement.querySelector('.bamboo-planner-rows').addEventListener('click', (e) => {
+      const button = e.target.closest('.bamboo-planner-remove');
+      if (!button) return;
+      people.splice(Number(button.dataset.index), 1);
+      render();
+    });
+    
+    // Close on escape key
+    document.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape' && isOpen) {
+        close();
+      }
+    });
+    
+    document.body.appendChild(panelElement);
+    return panelElement;
+  }
+  
+  /**
+   * Escape HTML to prevent XSS
+   */
+  function escapeHtml(text) {
+    if (!text) return '';
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+  }
+  
+  /**
+   * Format minutes since midnight as a clock time, e.g. 930 -> "15:30"
+   */
+  function formatMinutes(minutes) {
+    const wrapped = ((minutes % 1440) + 1440) % 1440;
+    const hours = Math.floor(wrapped / 60);
+    const mins = wrapped % 60;
+    return `${String(hours).padStart(2, '0')}:${String(mins).padStart(2, '0')}`;
+  }
+  
+  /**
+   * Working hours of someone at a UTC offset, as [start, end] minutes of the
+   * viewer's day. Windows crossing the viewer's midnight are split in two.
+   */
+  function getWorkingSegments(offset, viewerOffset) {
+    const start = ((WORK_START * 60 - offset + viewerOffset) % 1440 + 1440) % 1440;
+    const end = start + (WORK_END - WORK_START) * 60;
+    
+    if (end <= 1440) {
+      return [[start, end]];
+    }
+    return [[start, 1440], [0, end - 1440]];
+  }
+  
+  /**
+   * Find the windows (in the viewer's minutes of day) when everyone is working
+   * @returns {Array<[number, number]>} - [start, end] pairs; end may pass 1440 when a window wraps midnight
+   */
+  function findOverlaps(segmentsList) {
+    const free = new Array(SLOTS_PER_DAY).fill(true);
+    
+    segmentsList.forEach(segments => {
+      for (let slot = 0; slot < SLOTS_PER_DAY; slot++) {
+        const minute = slot * SLOT_MINUTES;
+        if (!segments.some(([start, end]) => minute >= start && minute < end)) {
+          free[slot] = false;
+        }
+      }
+    });
+    
+    const windows = [];
+    let slot = 0;
+    while (slot < SLOTS_PER_DAY) {
+      if (!free[slot]) {
+        slot++;
+        continue;
+      }
+      const start = slot;
+      while (slot < SLOTS_PER_DAY && free[slot]) slot++;
+      windows.push([start * SLOT_MINUTES, slot * SLOT_MINUTES]);
+    }
+    
+    // Join a window running into midnight with the one starting at midnight
+    if (windows.length > 1 && windows[0][0] === 0 && windows[windows.length - 1][1] === 1440) {
+      const first = windows.shift();
+      windows[windows.length - 1][1] = 1440 + first[1];
+    }
+    
+    return windows;
+  }
+  
+  /**
+   * Generate the bars for one row of the strip
+   */
+  function renderBars(segments, className) {
+    return segments.map(([start, end]) => `
+      <span class="${className}" style="left: ${(start / 1440) * 100}%; width: ${((end - start) / 1440) * 100}%"></span>
+    `).join('');
+  }
+  
+  /**
+   * Split overlap windows at midnight so they can be drawn on the strip
+   */
+  function toSegments(windows) {
+    return windows.flatMap(([start, end]) => end > 1440 ? [[start, 1440], [0, end - 1440]] : [[start, end]]);
+  }
+  
+  /**
+   * Render the panel from the current people
+   */
+  function render() {
+    const panel = createPanel();
+    const now = new Date();
+    const viewerOffset = -now.getTimezoneOffset();
+    
+    const known = [];
+    const unknown = [];
+    people.forEach((person, index) => {
+      const offset = BambooTimeZones.getOffsetMinutes(person.timeZone, now);
+      if (offset === null) {
+        unknown.push(person);
+      } else {
+        known.push({ ...person, index, offset, segments: getWorkingSegments(offset, viewerOffset) });
+      }
+    });
+    
+    // Earliest time zones first, so the strip reads east to west
+    known.sort((a, b) => b.offset - a.offset || a.name.localeCompare(b.name));
+    
+    const windows = findOverlaps(known.map(p => p.segments));
+    const overlapBars = renderBars(toSegments(windows), 'bamboo-planner-overlap');
+    
+    const summary = panel.querySelector('.bamboo-planner-summary');
+    if (known.length === 0) {
+      summary.textContent = 'No one with a known time zone is selected.';
+    } else if (windows.length === 0) {
+      summary.textContent = `There's no time when everyone is within working hours (${WORK_START}:00–${WORK_END}:00 local).`;
+    } else {
+      const ranges = windows.map(([start, end]) => `${formatMinutes(start)}–${formatMinutes(end)}`).join(', ');
+      summary.textContent = `Everyone is within working hours ${ranges} your time.`;
+    }
+    summary.classList.toggle('bamboo-planner-summary-none', known.length > 0 && windows.length === 0);
+    
+    panel.querySelector('.bamboo-planner-axis').innerHTML = [0, 3, 6, 9, 12, 15, 18, 21]
+      .map(hour => `<span style="left: ${(hour / 24) * 100}%">${formatMinutes(hour * 60)}</span>`)
+      .join('');
+    
+    panel.querySelector('.bamboo-planner-rows').innerHTML = known.map(person => {
+      const localTime = BambooTimeZones.getLocalTime(person.timeZone, now);
+      return `
+        <li class="bamboo-planner-row">
+          <div class="bamboo-planner-person">
+            <span class="bamboo-planner-name">${escapeHtml(person.name)}</span>
+            <span class="bamboo-planner-location">
+              ${escapeHtml(person.location)} · ${escapeHtml(localTime.time)} (${escapeHtml(localTime.offset)})
+            </span>
+          </div>
+          <div class="bamboo-planner-strip">
+            ${overlapBars}
+            ${renderBars(person.segments, 'bamboo-planner-hours')}
+          </div>
+          <button class="bamboo-planner-remove" data-index="${person.index}" aria-label="Remove from plan">&times;</button>
+        </li>
+      `;
+    }).join('');
+    
+    const unknownEl = panel.querySelector('.bamboo-planner-unknown');
+    unknownEl.textContent = unknown.length
+      ? `Not included, time zone unknown: ${unknown.map(p => p.name).join(', ')}`
+      : '';
+    unknownEl.hidden = unknown.length === 0;
+  }
+  
+  /**
+   * Open the planner for a set of people
+   * @param {Array} selection - [{name, location, timeZone}]
+   */
+  function show(selection) {
+    people = [...selection];
+    render();
+    
+    panelElement.classList.add('bamboo-planner-visible');
+    isOpen = true;
+  }
+  
+  /**
+   * Close the panel
+   */
+  function close() {
+    if (panelElement) {
+      panelElement.classList.remove('bamboo-planner-visible');
+      isOpen = false;
+    }
+  }
+  
+  /**
+   * Check if panel is currently open
+   */
+  function isVisible() {
+    return isOpen;
+  }
+  
+  /**
+   * Destroy the panel element
+   */
+  function destroy() {
+    if (panelElement) {
+      panelElement.remove();
+      panelElement = null;
+    }
+    people = [];
+    isOpen = false;
+  }
+  
+  // Public API
+  return {
+    show,
+    close,
+    isVisible,
+    destroy
+  };
+})();
+
+// Export for use in other scripts
+if (typeof window !== 'undefined') {
+  window.BambooPlanner = BambooPlanner;
+}
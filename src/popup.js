@@ -1,12 +1,54 @@
 /**
  * Employee popup component for BambooHR Map
- * Shows employee list when a pin is clicked
+ * Shows employee list when a pin is clicked, with links to each profile,
+ * a search box and optional grouping. Only the rows in view are rendered,
+ * so locations with hundreds of people open quickly.
  */
 
 const BambooPopup = (function() {
+  const GROUP_STORAGE_KEY = 'bamboo-map-popup-group';
+  const GROUP_FIELDS = [
+    { id: 'department', name: 'Department' },
+    { id: 'division', name: 'Division' }
+  ];
+  
+  // Lists shorter than this don't need a search box or grouping
+  const TOOLBAR_MIN_EMPLOYEES = 8;
+  
+  // Estimated row heights until a row has been rendered and measured
+  const EMPLOYEE_HEIGHT = 62;
+  const GROUP_HEIGHT = 32;
+  const DEFAULT_VIEW_HEIGHT = 320;
+  
+  // Rows rendered above and below the visible ones, so fast scrolling doesn't show gaps
+  const OVERSCAN = 6;
+  
   let popupElement = null;
+  let currentData = null;
+  let currentEmployees = [];
+  let closeHandler = null;
+  let returnFocusHandler = null;
   let isOpen = false;
   
+  // List state for the open popup
+  let query = '';
+  let groupBy = GROUP_FIELDS.some(field => field.id === localStorage.getItem(GROUP_STORAGE_KEY))
+    ? localStorage.getItem(GROUP_STORAGE_KEY)
+    : '';
+  let collapsedGroups = new Set();
+  let items = [];
+  let itemElements = new Map();
+  let itemHeights = new Map();
+  let highlightedId = null;
+  let scrollFrame = null;
+  
+  // Directory fields shown under each name, as {id, name}
+  let attributes = [
+    { id: 'jobTitle', name: 'Job title' },
+    { id: 'division', name: 'Division' },
+    { id: 'department', name: 'Department' }
+  ];
+  
   /**
    * Create the popup element if it doesn't exist
    */
@@ -15,23 +57,64 @@ const BambooPopup = (function() {
     
     popupElement = document.createElement('div');
     popupElement.className = 'bamboo-popup';
+    popupElement.setAttribute('role', 'dialog');
+    popupElement.setAttribute('aria-labelledby', 'bamboo-popup-title');
     popupElement.innerHTML = `
       <div class="bamboo-popup-header">
-        <h3 class="bamboo-popup-title"></h3>
+        <div class="bamboo-popup-heading">
+          <h3 class="bamboo-popup-title" id="bamboo-popup-title"></h3>
+          <span class="bamboo-popup-time"></span>
+        </div>
         <span class="bamboo-popup-count"></span>
+        <button class="bamboo-popup-plan" title="Find a meeting time for these employees">Plan meeting</button>
         <button class="bamboo-popup-close" aria-label="Close">&times;</button>
       </div>
+      <div class="bamboo-popup-toolbar">
+        <input type="search" class="bamboo-popup-search" placeholder="Search this list..."
+          aria-label="Search the employees at this location" autocomplete="off">
+        <select class="bamboo-popup-group-by" aria-label="Group employees">
+          <option value="">No grouping</option>
+          ${GROUP_FIELDS.map(field => `<option value="${field.id}">By ${field.name.toLowerCase()}</option>`).join('')}
+        </select>
+      </div>
       <div class="bamboo-popup-content">
         <ul class="bamboo-popup-list"></ul>
+        <p class="bamboo-popup-empty" hidden>No one here matches your search</p>
       </div>
     `;
     
     // Close button handler
     popupElement.querySelector('.bamboo-popup-close').addEventListener('click', close);
+    popupElement.querySelector('.bamboo-popup-plan').addEventListener('click', planMeeting);
+    popupElement.querySelector('.bamboo-popup-content').addEventListener('scroll', scheduleRender);
+    
+    const searchInput = popupElement.querySelector('.bamboo-popup-search');
+    searchInput.addEventListener('input', () => {
+      query = BambooSearch.normalize(searchInput.value);
+      updateList();
+    });
+    searchInput.addEventListener('keydown', (e) => {
+      // Clear the search first, and only close the popup on a second Escape
+      if (e.key === 'Escape' && searchInput.value) {
+        e.stopPropagation();
+        searchInput.value = '';
+        query = '';
+        updateList();
+      }
+    });
+    
+    const groupSelect = popupElement.querySelector('.bamboo-popup-group-by');
+    groupSelect.value = groupBy;
+    groupSelect.addEventListener('change', () => {
+      groupBy = groupSelect.value;
+      localStorage.setItem(GROUP_STORAGE_KEY, groupBy);
+      collapsedGroups = new Set();
+      updateList();
+    });
     
-    // Close on click outside
+    // Close on click outside; the path is used since collapsing a group replaces the clicked row
     document.addEventListener('click', (e) => {
-      if (isOpen && !popupElement.contains(e.target) && !e.target.closest('.bamboo-pin-group')) {
+      if (isOpen && !e.composedPath().includes(popupElement) && !e.target.closest('.bamboo-pin-group')) {
         close();
       }
     });
@@ -61,51 +144,328 @@ const BambooPopup = (function() {
   }
   
   /**
-   * Generate employee list item HTML
+   * Link to an employee's BambooHR profile, or null when the id isn't a valid one
    */
-  function renderEmployee(employee) {
-    const firstName = employee.firstName || '';
-    const lastName = employee.lastName || '';
-    const initials = `${firstName[0] || ''}${lastName[0] || ''}`.toUpperCase();
-    const bgColor = getAvatarColor(firstName, lastName);
+  function getProfileUrl(employee) {
+    const id = String(employee.id);
+    return /^\d+$/.test(id) ? `/employees/employee.php?id=${id}` : null;
+  }
+  
+  /**
+   * Create a line of text under the employee's name
+   */
+  function createDetail(className, text) {
+    const element = document.createElement('div');
+    element.className = className;
+    element.textContent = text;
+    return element;
+  }
+  
+  /**
+   * Create an employee list item
+   * Built with DOM APIs, since names and field values come from BambooHR.
+   */
+  function createEmployeeItem(employee) {
+    const item = document.createElement('li');
+    item.className = 'bamboo-popup-employee';
     
-    // Only use photo URL if it passes security validation
-    const rawPhotoUrl = employee.photoUrl || '';
-    const safePhotoUrl = isValidPhotoUrl(rawPhotoUrl) ? rawPhotoUrl : '';
+    const info = document.createElement('div');
+    info.className = 'bamboo-popup-employee-info';
     
-    // Combine division and department with dot separator
-    const division = employee.division || '';
-    const department = employee.department || '';
-    const deptDivision = [division, department].filter(Boolean).join(' · ');
+    const profileUrl = getProfileUrl(employee);
+    const name = document.createElement(profileUrl ? 'a' : 'div');
+    name.className = 'bamboo-popup-employee-name';
+    name.textContent = `${employee.firstName || ''} ${employee.lastName || ''}`.trim();
+    if (profileUrl) {
+      name.href = profileUrl;
+      name.title = 'Open profile';
+    }
+    info.appendChild(name);
     
-    return `
-      <li class="bamboo-popup-employee" data-initials="${escapeHtml(initials)}" data-color="${escapeHtml(bgColor)}">
-        <div class="bamboo-popup-avatar bamboo-popup-avatar-initials" style="background-color: ${escapeHtml(bgColor)}">
-          ${safePhotoUrl ? `<img src="${escapeHtml(safePhotoUrl)}" alt="" class="bamboo-popup-avatar-img">` : escapeHtml(initials)}
-        </div>
-        <div class="bamboo-popup-employee-info">
-          <div class="bamboo-popup-employee-name">
-            ${escapeHtml(firstName)} ${escapeHtml(lastName)}
-          </div>
-          <div class="bamboo-popup-employee-title">
-            ${escapeHtml(employee.jobTitle || '')}
-          </div>
-          <div class="bamboo-popup-employee-dept">
-            ${escapeHtml(deptDivision)}
-          </div>
-        </div>
-      </li>
-    `;
+    // Job title on its own line, then division and department with a dot separator,
+    // then any other chosen fields labelled with their name
+    const shown = new Set(attributes.map(attribute => attribute.id));
+    const jobTitle = shown.has('jobTitle') ? BambooFields.getValue(employee, 'jobTitle') : '';
+    if (jobTitle) {
+      info.appendChild(createDetail('bamboo-popup-employee-title', jobTitle));
+    }
+    
+    const deptDivision = ['division', 'department']
+      .filter(id => shown.has(id))
+      .map(id => BambooFields.getValue(employee, id))
+      .filter(Boolean)
+      .join(' · ');
+    if (deptDivision) {
+      info.appendChild(createDetail('bamboo-popup-employee-dept', deptDivision));
+    }
+    
+    attributes
+      .filter(attribute => !['jobTitle', 'division', 'department'].includes(attribute.id))
+      .forEach(attribute => {
+        const value = BambooFields.getValue(employee, attribute.id);
+        if (!value) return;
+        
+        const attr = createDetail('bamboo-popup-employee-attr', ` ${value}`);
+        const attrName = document.createElement('span');
+        attrName.className = 'bamboo-popup-employee-attr-name';
+        attrName.textContent = `${attribute.name}:`;
+        attr.prepend(attrName);
+        info.appendChild(attr);
+      });
+    
+    item.append(createAvatar(employee), info);
+    
+    const reportCount = BambooOrg.getDirectReports(employee.id).length;
+    if (reportCount > 0) {
+      const teamButton = document.createElement('button');
+      teamButton.className = 'bamboo-popup-team';
+      teamButton.title = "Draw lines to this person's reports on the map";
+      teamButton.textContent = `Team (${reportCount})`;
+      teamButton.addEventListener('click', () => {
+        BambooOrg.showTeam(employee.id);
+        close();
+      });
+      item.appendChild(teamButton);
+    }
+    
+    return item;
+  }
+  
+  /**
+   * Create a collapsible group heading
+   */
+  function createGroupItem(group) {
+    const item = document.createElement('li');
+    item.className = 'bamboo-popup-group';
+    
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'bamboo-popup-group-toggle';
+    button.addEventListener('click', () => {
+      if (collapsedGroups.has(group.value)) {
+        collapsedGroups.delete(group.value);
+      } else {
+        collapsedGroups.add(group.value);
+      }
+      updateList();
+    });
+    
+    const label = document.createElement('span');
+    label.className = 'bamboo-popup-group-label';
+    
+    const count = document.createElement('span');
+    count.className = 'bamboo-popup-group-count';
+    
+    button.append(label, count);
+    item.appendChild(button);
+    return item;
+  }
+  
+  /**
+   * Check if an employee matches the search: their name, job title or a listed field
+   */
+  function matchesQuery(employee) {
+    if (!query) return true;
+    
+    const texts = [
+      `${employee.firstName || ''} ${employee.lastName || ''}`,
+      BambooFields.getValue(employee, 'jobTitle'),
+      ...attributes.map(attribute => BambooFields.getValue(employee, attribute.id))
+    ];
+    return texts.some(text => BambooSearch.normalize(text).includes(query));
   }
   
   /**
-   * Escape HTML to prevent XSS
+   * Field the list is grouped by, or '' when not grouping
+   * Short lists have no toolbar, so they're never grouped.
    */
-  function escapeHtml(text) {
-    if (!text) return '';
-    const div = document.createElement('div');
-    div.textContent = text;
-    return div.innerHTML;
+  function getActiveGroupBy() {
+    return popupElement.querySelector('.bamboo-popup-toolbar').hidden ? '' : groupBy;
+  }
+  
+  /**
+   * Build the rows to show: matching employees, under group headings when grouping
+   */
+  function buildItems() {
+    const groupField = getActiveGroupBy();
+    const matches = currentEmployees.filter(matchesQuery);
+    const toEmployeeItems = (employees) => employees.map(employee => ({
+      key: `employee:${employee.id}`,
+      type: 'employee',
+      employee
+    }));
+    
+    if (!groupField) {
+      return { matchCount: matches.length, items: toEmployeeItems(matches) };
+    }
+    
+    const groups = new Map();
+    matches.forEach(employee => {
+      const value = BambooFields.getValue(employee, groupField);
+      if (!groups.has(value)) {
+        groups.set(value, []);
+      }
+      groups.get(value).push(employee);
+    });
+    
+    // Largest groups first, with people missing the field last
+    const fieldName = GROUP_FIELDS.find(field => field.id === groupField).name;
+    const sorted = Array.from(groups.entries())
+      .sort(([a, listA], [b, listB]) => (!a) - (!b) || listB.length - listA.length || a.localeCompare(b));
+    
+    return {
+      matchCount: matches.length,
+      items: sorted.flatMap(([value, employees]) => {
+        const collapsed = collapsedGroups.has(value);
+        const group = {
+          key: `group:${value}`,
+          type: 'group',
+          value,
+          label: value || `No ${fieldName.toLowerCase()}`,
+          count: employees.length,
+          collapsed
+        };
+        return [group, ...(collapsed ? [] : toEmployeeItems(employees))];
+      })
+    };
+  }
+  
+  /**
+   * Get the element for a row, reusing it while the popup stays open so photos load once
+   */
+  function getItemElement(item) {
+    if (!itemElements.has(item.key)) {
+      itemElements.set(item.key, item.type === 'group' ? createGroupItem(item) : createEmployeeItem(item.employee));
+    }
+    
+    const element = itemElements.get(item.key);
+    if (item.type === 'group') {
+      const button = element.querySelector('.bamboo-popup-group-toggle');
+      button.setAttribute('aria-expanded', String(!item.collapsed));
+      button.title = `${item.collapsed ? 'Show' : 'Hide'} ${item.label}`;
+      element.querySelector('.bamboo-popup-group-label').textContent = item.label;
+      element.querySelector('.bamboo-popup-group-count').textContent = item.count;
+    } else {
+      element.classList.toggle('bamboo-popup-employee-highlight', String(item.employee.id) === highlightedId);
+    }
+    return element;
+  }
+  
+  /**
+   * Height of a row: measured once rendered, estimated before that
+   */
+  function getItemHeight(item) {
+    return itemHeights.get(item.key) || (item.type === 'group' ? GROUP_HEIGHT : EMPLOYEE_HEIGHT);
+  }
+  
+  /**
+   * Top offset of each row, and the height of the whole list
+   */
+  function getOffsets() {
+    const offsets = [];
+    let total = 0;
+    items.forEach(item => {
+      offsets.push(total);
+      total += getItemHeight(item);
+    });
+    return { offsets, total };
+  }
+  
+  /**
+   * Render the rows in view, with padding standing in for the rows above and below
+   */
+  function renderList() {
+    if (!popupElement) return;
+    
+    const content = popupElement.querySelector('.bamboo-popup-content');
+    const list = popupElement.querySelector('.bamboo-popup-list');
+    const viewTop = content.scrollTop;
+    const viewBottom = viewTop + (content.clientHeight || DEFAULT_VIEW_HEIGHT);
+    const { offsets, total } = getOffsets();
+    
+    let start = 0;
+    while (start < items.length && offsets[start] + getItemHeight(items[start]) <= viewTop) start++;
+    let end = start;
+    while (end < items.length && offsets[end] < viewBottom) end++;
+    start = Math.max(0, start - OVERSCAN);
+    end = Math.min(items.length, end + OVERSCAN);
+    
+    const visible = items.slice(start, end);
+    list.replaceChildren(...visible.map(getItemElement));
+    
+    // Remember real heights, e.g. for rows with extra fields, so the padding stays accurate
+    visible.forEach(item => {
+      const height = itemElements.get(item.key).offsetHeight;
+      if (height > 0) {
+        itemHeights.set(item.key, height);
+      }
+    });
+    
+    const measured = getOffsets();
+    list.style.paddingTop = `${start < items.length ? measured.offsets[start] : 0}px`;
+    list.style.paddingBottom = `${end < items.length ? measured.total - measured.offsets[end] : 0}px`;
+    
+    // Heights changed, so the rows in view may have too
+    if (measured.total !== total) {
+      scheduleRender();
+    }
+  }
+  
+  /**
+   * Render on the next frame, e.g. while scrolling
+   */
+  function scheduleRender() {
+    if (scrollFrame) return;
+    scrollFrame = requestAnimationFrame(() => {
+      scrollFrame = null;
+      renderList();
+    });
+  }
+  
+  /**
+   * Rebuild the rows after the search or grouping changed
+   */
+  function updateList() {
+    if (!popupElement || !currentData) return;
+    
+    const result = buildItems();
+    items = result.items;
+    
+    const total = currentEmployees.length;
+    popupElement.querySelector('.bamboo-popup-count').textContent = result.matchCount === total
+      ? `${total} employee${total !== 1 ? 's' : ''}`
+      : `${result.matchCount} of ${total}`;
+    popupElement.querySelector('.bamboo-popup-empty').hidden = result.matchCount > 0;
+    
+    renderList();
+  }
+  
+  /**
+   * Create an avatar element: the employee's photo, or their initials when
+   * there's no trusted photo or it fails to load
+   */
+  function createAvatar(employee) {
+    const firstName = employee.firstName || '';
+    const lastName = employee.lastName || '';
+    const initials = `${firstName[0] || ''}${lastName[0] || ''}`.toUpperCase();
+    
+    const avatar = document.createElement('div');
+    avatar.className = 'bamboo-popup-avatar bamboo-popup-avatar-initials';
+    avatar.style.backgroundColor = getAvatarColor(firstName, lastName);
+    avatar.textContent = initials;
+    
+    if (isValidPhotoUrl(employee.photoUrl)) {
+      const img = document.createElement('img');
+      img.className = 'bamboo-popup-avatar-img';
+      img.alt = '';
+      img.src = employee.photoUrl;
+      img.addEventListener('error', () => {
+        avatar.textContent = initials;
+      });
+      avatar.textContent = '';
+      avatar.appendChild(img);
+    }
+    return avatar;
   }
   
   /**
@@ -129,7 +489,7 @@ const BambooPopup = (function() {
       ];
       
       const hostname = parsed.hostname.toLowerCase();
-      return trustedDomains.some(domain => 
+      return trustedDomains.some(domain =>
         hostname === domain.slice(1) || hostname.endsWith(domain)
       );
     } catch {
@@ -138,60 +498,60 @@ const BambooPopup = (function() {
   }
   
   /**
-   * Handle image load errors by showing initials instead
+   * Open the meeting planner for everyone in the popup
+   * Clustered pins carry their locations as members, each with its own time zone.
    */
-  function setupImageErrorHandlers(container) {
-    const images = container.querySelectorAll('.bamboo-popup-avatar-img');
-    images.forEach(img => {
-      img.onerror = function() {
-        // Hide the broken image and show parent's initials
-        this.style.display = 'none';
-        const parent = this.closest('.bamboo-popup-avatar');
-        const li = this.closest('.bamboo-popup-employee');
-        if (parent && li) {
-          const initials = li.dataset.initials || '?';
-          // Only add initials text if not already there
-          if (!parent.querySelector('.bamboo-initials-text')) {
-            const span = document.createElement('span');
-            span.className = 'bamboo-initials-text';
-            span.textContent = initials;
-            parent.appendChild(span);
-          }
-        }
-      };
-      img.onload = function() {
-        // Image loaded successfully, ensure it's visible
-        this.style.display = 'block';
-      };
-    });
+  function planMeeting() {
+    if (!currentData) return;
+    
+    const locations = currentData.members || [currentData];
+    BambooPlanner.show(locations.flatMap(location => location.employees.map(emp => ({
+      name: `${emp.firstName} ${emp.lastName}`.trim(),
+      location: location.name,
+      timeZone: location.timeZone
+    }))));
+    close();
   }
   
   /**
    * Show the popup with employee data
-   * @param {Object} data - Pin data with {name, employees: [...], lat, lng}
+   * @param {Object} data - Pin data with {name, employees: [...], lat, lng, timeZone}
    * @param {MouseEvent} event - Click event for positioning
+   * @param {Object} options - {onClose: called once when this popup is closed,
+   *   returnFocus: when set, focus moves into the popup and this puts it back when it closes}
    */
-  function show(data, event) {
+  function show(data, event, options = {}) {
     const popup = createPopup();
+    currentData = data;
+    closeHandler = options.onClose || null;
+    returnFocusHandler = options.returnFocus || null;
     
     // Update content
     popup.querySelector('.bamboo-popup-title').textContent = data.name;
-    popup.querySelector('.bamboo-popup-count').textContent = 
-      `${data.employees.length} employee${data.employees.length !== 1 ? 's' : ''}`;
+    
+    const localTime = BambooTimeZones.getLocalTime(data.timeZone);
+    const timeEl = popup.querySelector('.bamboo-popup-time');
+    timeEl.textContent = localTime ? `Local time ${localTime.time} (${localTime.offset})` : '';
+    timeEl.hidden = !localTime;
     
     // Sort employees by name
-    const sortedEmployees = [...data.employees].sort((a, b) => {
+    currentEmployees = [...data.employees].sort((a, b) => {
       const nameA = `${a.firstName} ${a.lastName}`.toLowerCase();
       const nameB = `${b.firstName} ${b.lastName}`.toLowerCase();
       return nameA.localeCompare(nameB);
     });
     
-    // Render employee list
-    const list = popup.querySelector('.bamboo-popup-list');
-    list.innerHTML = sortedEmployees.map(renderEmployee).join('');
-    
-    // Setup image error handlers
-    setupImageErrorHandlers(list);
+    // Start each location with a fresh search, all groups open and the list at the top
+    const toolbar = popup.querySelector('.bamboo-popup-toolbar');
+    toolbar.hidden = currentEmployees.length < TOOLBAR_MIN_EMPLOYEES;
+    popup.querySelector('.bamboo-popup-search').value = '';
+    query = '';
+    collapsedGroups = new Set();
+    highlightedId = null;
+    itemElements = new Map();
+    itemHeights = new Map();
+    popup.querySelector('.bamboo-popup-content').scrollTop = 0;
+    updateList();
     
     // Position popup
     positionPopup(event);
@@ -199,6 +559,49 @@ const BambooPopup = (function() {
     // Show with animation
     popup.classList.add('bamboo-popup-visible');
     isOpen = true;
+    
+    // Opened from the keyboard: start in the search box, or on the close button for short lists
+    if (returnFocusHandler) {
+      popup.querySelector(toolbar.hidden ? '.bamboo-popup-close' : '.bamboo-popup-search').focus();
+    }
+  }
+  
+  /**
+   * Highlight an employee in the open popup and scroll them into view
+   * The search is cleared and their group opened if they were hidden.
+   * @param {string} employeeId
+   */
+  function highlight(employeeId) {
+    if (!popupElement || !isOpen) return;
+    
+    const employee = currentEmployees.find(emp => String(emp.id) === String(employeeId));
+    highlightedId = employee ? String(employee.id) : null;
+    if (!employee) {
+      renderList();
+      return;
+    }
+    
+    if (!matchesQuery(employee)) {
+      popupElement.querySelector('.bamboo-popup-search').value = '';
+      query = '';
+    }
+    if (getActiveGroupBy()) {
+      collapsedGroups.delete(BambooFields.getValue(employee, groupBy));
+    }
+    updateList();
+    
+    // Scroll just far enough to show them, like scrollIntoView({block: 'nearest'})
+    const index = items.findIndex(item => item.type === 'employee' && item.employee === employee);
+    const content = popupElement.querySelector('.bamboo-popup-content');
+    const top = getOffsets().offsets[index];
+    const bottom = top + getItemHeight(items[index]);
+    const viewHeight = content.clientHeight || DEFAULT_VIEW_HEIGHT;
+    if (top < content.scrollTop) {
+      content.scrollTop = top;
+    } else if (bottom > content.scrollTop + viewHeight) {
+      content.scrollTop = bottom - viewHeight;
+    }
+    renderList();
   }
   
   /**
@@ -243,10 +646,22 @@ const BambooPopup = (function() {
    * Close the popup
    */
   function close() {
+    // Only take focus back if it's still in the popup, not when the user clicked elsewhere
+    const hadFocus = Boolean(popupElement && popupElement.contains(document.activeElement));
     if (popupElement) {
       popupElement.classList.remove('bamboo-popup-visible');
       isOpen = false;
     }
+    if (returnFocusHandler) {
+      const returnFocus = returnFocusHandler;
+      returnFocusHandler = null;
+      if (hadFocus) returnFocus();
+    }
+    if (closeHandler) {
+      const handler = closeHandler;
+      closeHandler = null;
+      handler();
+    }
   }
   
   /**
@@ -264,15 +679,36 @@ const BambooPopup = (function() {
       popupElement.remove();
       popupElement = null;
     }
+    cancelAnimationFrame(scrollFrame);
+    scrollFrame = null;
     isOpen = false;
   }
   
+  /**
+   * Choose which directory fields are listed under each employee's name
+   * @param {Array<{id: string, name: string}>} newAttributes - In display order
+   */
+  function setAttributes(newAttributes) {
+    attributes = newAttributes.map(({ id, name }) => ({ id, name }));
+    
+    // Rows are rebuilt with the new fields, and their heights measured again
+    itemElements = new Map();
+    itemHeights = new Map();
+    if (isOpen) {
+      updateList();
+    }
+  }
+  
   // Public API
   return {
     show,
     close,
     isVisible,
-    destroy
+    destroy,
+    setAttributes,
+    highlight,
+    createAvatar,
+    getProfileUrl
   };
 })();
 
@@ -280,4 +716,3 @@ const BambooPopup = (function() {
 if (typeof window !== 'undefined') {
   window.BambooPopup = BambooPopup;
 }
-
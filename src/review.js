@@ -0,0 +1,221 @@
+/**
+ * Location review panel for BambooHR Map
+ * Lists location strings the geocoder couldn't resolve, only matched
+ * approximately, or had to pick between several places for, so they can be
+ * fixed in BambooHR
+ */
+
+const BambooReview = (function() {
+  let panelElement = null;
+  let anchorElement = null;
+  let isOpen = false;
+  
+  /**
+   * Create the panel element if it doesn't exist
+   */
+  function createPanel() {
+    if (panelElement) return panelElement;
+    
+    panelElement = document.createElement('div');
+    panelElement.className = 'bamboo-review';
+    panelElement.innerHTML = `
+      <div class="bamboo-review-header">
+        <h3 class="bamboo-review-title">Location review</h3>
+        <button class="bamboo-review-close" aria-label="Close">&times;</button>
+      </div>
+      <div class="bamboo-review-content">
+        <section class="bamboo-review-section" data-section="unmatched">
+          <h4 class="bamboo-review-section-title">Not on the map</h4>
+          <p class="bamboo-review-hint">
+            These BambooHR locations couldn't be matched to a place. Fix the location in BambooHR, or add an alias for it in the extension options, to show these employees on the map.
+          </p>
+          <ul class="bamboo-review-list"></ul>
+        </section>
+        <section class="bamboo-review-section" data-section="uncertain">
+          <h4 class="bamboo-review-section-title">Approximate matches</h4>
+          <p class="bamboo-review-hint">
+            These locations were matched by similarity and may be on the wrong spot. Check the spelling in BambooHR, or add an alias in the extension options.
+          </p>
+          <ul class="bamboo-review-list"></ul>
+        </section>
+        <section class="bamboo-review-section" data-section="ambiguous">
+          <h4 class="bamboo-review-section-title">Ambiguous locations</h4>
+          <p class="bamboo-review-hint">
+            These locations could refer to more than one place. Add the country in BambooHR, or an alias in the extension options, to pin them down.
+          </p>
+          <ul class="bamboo-review-list"></ul>
+        </section>
+      </div>
+    `;
+    
+    panelElement.querySelector('.bamboo-review-close').addEventListener('click', close);
+    
+    // Close on click outside (clicks on the anchor toggle it themselves)
+    document.addEventListener('click', (e) => {
+      if (isOpen && !panelElement.contains(e.target) && !(anchorElement && anchorElement.contains(e.target))) {
+        close();
+      }
+    });
+    
+    // Close on escape key
+    document.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape' && isOpen) {
+        close();
+      }
+    });
+    
+    document.body.appendChild(panelElement);
+    return panelElement;
+  }
+  
+  /**
+   * Escape HTML to prevent XSS
+   */
+  function escapeHtml(text) {
+    if (!text) return '';
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+  }
+  
+  /**
+   * Explain how the geocoder picked between the places an ambiguous location could be
+   */
+  function renderResolution(match) {
+    const reasons = {
+      group: 'where colleagues in the same division are',
+      organization: 'where most of the company is'
+    };
+    const reason = reasons[match.resolvedBy] || 'default priority';
+    const alternatives = (match.alternatives || []).map(alt => alt.name).join(', ');
+    
+    return `
+      <div class="bamboo-review-match">
+        Placed in ${escapeHtml(match.name)} based on ${reason}
+      </div>
+      ${alternatives ? `<div class="bamboo-review-alternatives">Could also be ${escapeHtml(alternatives)}</div>` : ''}
+    `;
+  }
+  
+  /**
+   * Generate list item HTML for one reviewed location
+   */
+  function renderEntry(entry) {
+    const count = entry.employees.length;
+    const names = entry.employees
+      .map(emp => `${emp.firstName} ${emp.lastName}`.trim())
+      .sort((a, b) => a.localeCompare(b));
+    
+    let match = '';
+    if (entry.match && entry.match.ambiguous) {
+      match = renderResolution(entry.match);
+    } else if (entry.match) {
+      match = `<div class="bamboo-review-match">
+          Matched to ${escapeHtml(entry.match.name)} (${Math.round(entry.match.confidence * 100)}% confidence)
+        </div>`;
+    }
+    
+    return `
+      <li class="bamboo-review-entry">
+        <div class="bamboo-review-entry-header">
+          <span class="bamboo-review-location">${escapeHtml(entry.location)}</span>
+          <span class="bamboo-review-count">${count} employee${count !== 1 ? 's' : ''}</span>
+        </div>
+        ${match}
+        <div class="bamboo-review-names">${escapeHtml(names.join(', '))}</div>
+      </li>
+    `;
+  }
+  
+  /**
+   * Fill one section of the panel, hiding it when there's nothing to review
+   */
+  function renderSection(panel, sectionName, entries) {
+    const section = panel.querySelector(`[data-section="${sectionName}"]`);
+    
+    // Most affected locations first
+    const sorted = [...entries].sort((a, b) =>
+      b.employees.length - a.employees.length || a.location.localeCompare(b.location)
+    );
+    section.querySelector('.bamboo-review-list').innerHTML = sorted.map(renderEntry).join('');
+    section.hidden = sorted.length === 0;
+  }
+  
+  /**
+   * Show the panel below an anchor element
+   * @param {Object} report - {unmatched: [{location, employees}], uncertain: [{location, match, employees}],
+   *   ambiguous: [{location, match, employees}]}
+   * @param {HTMLElement} anchor - Element the panel is positioned against
+   */
+  function show(report, anchor) {
+    const panel = createPanel();
+    anchorElement = anchor;
+    
+    renderSection(panel, 'unmatched', report.unmatched || []);
+    renderSection(panel, 'uncertain', report.uncertain || []);
+    renderSection(panel, 'ambiguous', report.ambiguous || []);
+    
+    if (anchor) {
+      const rect = anchor.getBoundingClientRect();
+      panel.style.top = `${rect.bottom + 8}px`;
+      panel.style.left = `${Math.max(16, rect.left)}px`;
+    }
+    
+    panel.classList.add('bamboo-review-visible');
+    isOpen = true;
+  }
+  
+  /**
+   * Close the panel
+   */
+  function close() {
+    if (panelElement) {
+      panelElement.classList.remove('bamboo-review-visible');
+      isOpen = false;
+    }
+  }
+  
+  /**
+   * Toggle the panel
+   */
+  function toggle(report, anchor) {
+    if (isOpen) {
+      close();
+    } else {
+      show(report, anchor);
+    }
+  }
+  
+  /**
+   * Check if panel is currently open
+   */
+  function isVisible() {
+    return isOpen;
+  }
+  
+  /**
+   * Destroy the panel element
+   */
+  function destroy() {
+    if (panelElement) {
+      panelElement.remove();
+      panelElement = null;
+    }
+    anchorElement = null;
+    isOpen = false;
+  }
+  
+  // Public API
+  return {
+    show,
+    toggle,
+    close,
+    isVisible,
+    destroy
+  };
+})();
+
+// Export for use in other scripts
+if (typeof window !== 'undefined') {
+  window.BambooReview = BambooReview;
+}
@@ -0,0 +1,225 @@
+/**
+ * People search for BambooHR Map
+ * A typeahead in the map header that suggests employees by name, with their
+ * photo, job title and location, and hands the chosen one back to the caller
+ */
+
+const BambooSearch = (function() {
+  const MAX_SUGGESTIONS = 8;
+  
+  let wrapperElement = null;
+  let inputElement = null;
+  let listElement = null;
+  let people = [];
+  let suggestions = [];
+  let activeIndex = -1;
+  let onSelect = null;
+  
+  /**
+   * Lowercase and strip accents, so "jose" finds "José"
+   */
+  function normalize(text) {
+    return (text || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().trim();
+  }
+  
+  /**
+   * Find the people whose name matches a query, best matches first
+   * A full name starting with the query ranks above a later name starting
+   * with it, which ranks above a match anywhere in the name.
+   * @returns {Array} - Up to MAX_SUGGESTIONS of the entries passed to setPeople()
+   */
+  function search(query) {
+    const text = normalize(query);
+    if (!text) return [];
+    
+    return people
+      .map(person => {
+        if (person.searchName.startsWith(text)) return { person, rank: 0 };
+        if (person.searchName.split(/\s+/).some(word => word.startsWith(text))) return { person, rank: 1 };
+        if (person.searchName.includes(text)) return { person, rank: 2 };
+        return null;
+      })
+      .filter(Boolean)
+      .sort((a, b) => a.rank - b.rank || a.person.searchName.localeCompare(b.person.searchName))
+      .slice(0, MAX_SUGGESTIONS)
+      .map(match => match.person);
+  }
+  
+  /**
+   * Set who can be found
+   * @param {Array<{employee: Object, location: string}>} entries - Employees on the map with their location name
+   */
+  function setPeople(entries) {
+    people = entries.map(entry => ({
+      ...entry,
+      searchName: normalize(`${entry.employee.firstName} ${entry.employee.lastName}`)
+    }));
+    if (inputElement && !listElement.hidden) {
+      renderSuggestions();
+    }
+  }
+  
+  /**
+   * Show or hide the suggestion list
+   */
+  function setOpen(open) {
+    listElement.hidden = !open;
+    inputElement.setAttribute('aria-expanded', String(open));
+    if (!open) {
+      setActive(-1);
+    }
+  }
+  
+  /**
+   * Mark a suggestion as the keyboard selection
+   */
+  function setActive(index) {
+    activeIndex = index;
+    const options = listElement.querySelectorAll('.bamboo-search-option');
+    options.forEach((option, i) => option.setAttribute('aria-selected', String(i === index)));
+    
+    if (index >= 0 && options[index]) {
+      inputElement.setAttribute('aria-activedescendant', options[index].id);
+      options[index].scrollIntoView({ block: 'nearest' });
+    } else {
+      inputElement.removeAttribute('aria-activedescendant');
+    }
+  }
+  
+  /**
+   * Render suggestions for the typed text
+   * Built with DOM APIs, since names, titles and locations come from BambooHR.
+   */
+  function renderSuggestions() {
+    suggestions = search(inputElement.value);
+    listElement.innerHTML = '';
+    
+    suggestions.forEach((person, i) => {
+      const { employee } = person;
+      const option = document.createElement('li');
+      option.className = 'bamboo-search-option';
+      option.id = `bamboo-search-option-${i}`;
+      option.setAttribute('role', 'option');
+      option.setAttribute('aria-selected', 'false');
+      option.addEventListener('mousedown', (e) => {
+        // Keep focus in the input until the choice is handled
+        e.preventDefault();
+        choose(i);
+      });
+      
+      const info = document.createElement('div');
+      info.className = 'bamboo-search-option-info';
+      
+      const name = document.createElement('span');
+      name.className = 'bamboo-search-option-name';
+      name.textContent = `${employee.firstName} ${employee.lastName}`.trim();
+      
+      const details = document.createElement('span');
+      details.className = 'bamboo-search-option-details';
+      details.textContent = [employee.jobTitle, person.location].filter(Boolean).join(' · ');
+      
+      info.append(name, details);
+      option.append(BambooPopup.createAvatar(employee), info);
+      listElement.appendChild(option);
+    });
+    
+    if (suggestions.length === 0 && inputElement.value.trim()) {
+      const empty = document.createElement('li');
+      empty.className = 'bamboo-search-empty';
+      empty.textContent = 'No one on the map by that name';
+      listElement.appendChild(empty);
+    }
+    
+    setOpen(Boolean(inputElement.value.trim()));
+    setActive(suggestions.length > 0 ? 0 : -1);
+  }
+  
+  /**
+   * Hand a suggestion to the caller and reset the search
+   */
+  function choose(index) {
+    const person = suggestions[index];
+    if (!person) return;
+    
+    inputElement.value = '';
+    setOpen(false);
+    inputElement.blur();
+    if (onSelect) onSelect(person.employee);
+  }
+  
+  /**
+   * Keyboard navigation: arrows move through suggestions, Enter picks, Escape closes
+   */
+  function handleKeydown(e) {
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      if (suggestions.length === 0) return;
+      if (listElement.hidden) setOpen(true);
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      setActive((activeIndex + step + suggestions.length) % suggestions.length);
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      choose(activeIndex);
+    } else if (e.key === 'Escape' && !listElement.hidden) {
+      // Don't also close the employee popup
+      e.stopPropagation();
+      setOpen(false);
+    }
+  }
+  
+  /**
+   * Create the search box in a container
+   * @param {HTMLElement} container - Where the search box goes, e.g. the map header
+   * @param {Object} options - {onSelect: called with the chosen employee}
+   */
+  function init(container, options = {}) {
+    onSelect = options.onSelect || null;
+    
+    wrapperElement = document.createElement('div');
+    wrapperElement.className = 'bamboo-search';
+    wrapperElement.innerHTML = `
+      <input type="search" class="bamboo-search-input" placeholder="Find a person..."
+        role="combobox" aria-label="Find a person on the map" aria-autocomplete="list"
+        aria-expanded="false" aria-controls="bamboo-search-list" autocomplete="off">
+      <ul class="bamboo-search-list" id="bamboo-search-list" role="listbox" hidden></ul>
+    `;
+    
+    inputElement = wrapperElement.querySelector('.bamboo-search-input');
+    listElement = wrapperElement.querySelector('.bamboo-search-list');
+    
+    inputElement.addEventListener('input', renderSuggestions);
+    inputElement.addEventListener('keydown', handleKeydown);
+    inputElement.addEventListener('focus', () => {
+      if (inputElement.value.trim()) renderSuggestions();
+    });
+    inputElement.addEventListener('blur', () => setOpen(false));
+    
+    container.appendChild(wrapperElement);
+  }
+  
+  /**
+   * Remove the search box
+   */
+  function destroy() {
+    if (wrapperElement) {
+      wrapperElement.remove();
+      wrapperElement = null;
+      inputElement = null;
+      listElement = null;
+    }
+  }
+  
+  // Public API
+  return {
+    init,
+    setPeople,
+    search,
+    normalize,
+    destroy
+  };
+})();
+
+// Export for use in other scripts
+if (typeof window !== 'undefined') {
+  window.BambooSearch = BambooSearch;
+}
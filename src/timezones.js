@@ -0,0 +1,136 @@
+/**
+ * Time zone lookup for BambooHR Map
+ * Maps geocoder results to IANA time zones using a bundled table
+ * and formats the current local time there
+ */
+
+const BambooTimeZones = (function() {
+  let data = null;
+  
+  /**
+   * Load the bundled time zone table
+   */
+  async function init() {
+    if (data) return data;
+    
+    try {
+      const url = chrome.runtime.getURL('data/timezones.json');
+      const response = await fetch(url);
+      data = await response.json();
+      return data;
+    } catch (error) {
+      // Silently fail - locations just won't show a local time
+      return null;
+    }
+  }
+  
+  /**
+   * Nominal zone for a longitude (15° per hour), for custom coordinates
+   * with nothing better to go on. Etc/GMT signs are inverted by convention.
+   */
+  function getNominalZone(lng) {
+    const offset = Math.round(lng / 15);
+    if (offset === 0) return 'Etc/UTC';
+    return `Etc/GMT${offset > 0 ? '-' : '+'}${Math.abs(offset)}`;
+  }
+  
+  /**
+   * Find the IANA time zone of a geocoder result
+   * City entries win over their state or region, which win over the
+   * country. Countries spanning several offsets without a clear majority
+   * (e.g. the US) have no country-wide zone, so "United States" gets none.
+   * @param {Object} result - Geocoder result
+   * @returns {string|null} - IANA zone name, e.g. "Europe/Berlin"
+   */
+  function getTimeZone(result) {
+    if (!data || !result) return null;
+    
+    const code = result.countryCode;
+    if (code) {
+      const cityZone = result.level === 'city' ? data.cities[code]?.[result.displayName] : null;
+      const regionZone = result.region ? data.regions[code]?.[result.region] : null;
+      const zone = cityZone || regionZone || data.countries[code];
+      if (zone) return zone;
+    }
+    
+    if (result.level === 'custom') {
+      return getNominalZone(result.lng);
+    }
+    
+    return null;
+  }
+  
+  /**
+   * Format the local time and UTC offset in a time zone
+   * @param {string} timeZone - IANA zone name
+   * @param {Date} [date] - Defaults to now
+   * @returns {{time: string, offset: string}|null} - e.g. {time: "2:05 PM", offset: "UTC+2"}
+   */
+  function getLocalTime(timeZone, date = new Date()) {
+    if (!timeZone) return null;
+    
+    try {
+      const parts = new Intl.DateTimeFormat(undefined, {
+        timeZone,
+        hour: 'numeric',
+        minute: '2-digit',
+        timeZoneName: 'shortOffset'
+      }).formatToParts(date);
+      
+      const offsetPart = parts.find(part => part.type === 'timeZoneName');
+      const time = parts
+        .filter(part => part.type !== 'timeZoneName')
+        .map(part => part.value)
+        .join('')
+        .trim();
+      const offset = offsetPart ? offsetPart.value.replace('GMT', 'UTC') : 'UTC';
+      
+      return { time, offset };
+    } catch (error) {
+      // Unknown zone name
+      return null;
+    }
+  }
+  
+  /**
+   * Get a time zone's UTC offset in minutes at a moment (e.g. 120 for UTC+2)
+   * @returns {number|null}
+   */
+  function getOffsetMinutes(timeZone, date = new Date()) {
+    if (!timeZone) return null;
+    
+    try {
+      const parts = {};
+      new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric'
+      }).formatToParts(date).forEach(part => { parts[part.type] = Number(part.value); });
+      
+      // Wall-clock time in the zone, read as if it were UTC, minus the real UTC time
+      const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute);
+      const utc = Math.floor(date.getTime() / 60000) * 60000;
+      return Math.round((wallClock - utc) / 60000);
+    } catch (error) {
+      // Unknown zone name
+      return null;
+    }
+  }
+  
+  // Public API
+  return {
+    init,
+    getTimeZone,
+    getLocalTime,
+    getOffsetMinutes
+  };
+})();
+
+// Export for use in other scripts
+if (typeof window !== 'undefined') {
+  window.BambooTimeZones = BambooTimeZones;
+}
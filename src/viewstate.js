@@ -0,0 +1,185 @@
+/**
+ * Shareable view state for BambooHR Map
+ * Reads and writes the filters, zoom, mode and open pin in the URL hash, so
+ * a link reproduces the view and back/forward step through view changes
+ */
+
+const BambooViewState = (function() {
+  const WRITE_DELAY = 400;
+  const RESERVED_KEYS = ['name', 'exclude', 'mode', 'color', 'zoom', 'center', 'pin'];
+  
+  // Directory fields that links can filter on
+  let facetKeys = ['jobTitle', 'department', 'division'];
+  let writeTimer = null;
+  let writeReplaces = true;
+  
+  /**
+   * All parameters this module reads and writes
+   */
+  function getKeys() {
+    return [...RESERVED_KEYS, ...facetKeys];
+  }
+  
+  /**
+   * Set which directory fields links can filter on
+   * Fields named like one of our own parameters are skipped.
+   * @param {string[]} ids - Directory field ids
+   */
+  function setFacetKeys(ids) {
+    facetKeys = ids.filter(id => !RESERVED_KEYS.includes(id));
+  }
+  
+  /**
+   * Parse a number, or null when it's missing or invalid
+   */
+  function toNumber(value) {
+    const number = parseFloat(value);
+    return Number.isFinite(number) ? number : null;
+  }
+  
+  /**
+   * Read the field pins are colored by: '' for plain pins, null when missing or unknown
+   */
+  function parseColor(value) {
+    if (value === 'none') return '';
+    return facetKeys.includes(value) ? value : null;
+  }
+  
+  /**
+   * Read the view state from a URL hash
+   * Facets list each selected value as its own parameter, and `exclude` names
+   * the facets in exclude mode.
+   * @param {string} hash - e.g. "#department=Sales&department=Marketing&exclude=department&zoom=3&center=51.2,10.4"
+   * @returns {Object|null} - {filters, mode, color, view: {k, lat, lng}, pin}, or null when the hash has no map state;
+   *   mode, color, view and pin are null when not set, and color is '' for plain pins
+   */
+  function parse(hash) {
+    const params = new URLSearchParams((hash || '').replace(/^#/, ''));
+    if (!getKeys().some(key => params.has(key))) return null;
+    
+    const excluded = (params.get('exclude') || '').split(',');
+    const filters = { name: params.get('name') || '' };
+    facetKeys.forEach(key => {
+      filters[key] = { values: params.getAll(key).filter(Boolean), exclude: excluded.includes(key) };
+    });
+    
+    let view = null;
+    const k = toNumber(params.get('zoom'));
+    const [lat, lng] = (params.get('center') || '').split(',').map(toNumber);
+    if (k !== null && lat !== null && lng !== null) {
+      view = { k, lat, lng };
+    }
+    
+    return {
+      filters,
+      mode: ['pins', 'choropleth'].includes(params.get('mode')) ? params.get('mode') : null,
+      color: parseColor(params.get('color')),
+      view,
+      pin: params.get('pin') || null
+    };
+  }
+  
+  /**
+   * Write the view state into a URL hash, keeping any parameters that aren't ours
+   * Empty filters and the default zoom are left out; the mode and pin colors
+   * are always written (plain pins as "none"), since their defaults come from
+   * each user's saved preferences.
+   * @param {Object|null} state - null for the default view, which leaves no map state in the hash
+   */
+  function serialize(state, hash) {
+    const params = new URLSearchParams((hash || '').replace(/^#/, ''));
+    getKeys().forEach(key => params.delete(key));
+    if (!state) {
+      const text = params.toString();
+      return text ? `#${text}` : '';
+    }
+    
+    const filters = state.filters || {};
+    if (filters.name) {
+      params.set('name', filters.name);
+    }
+    const excluded = [];
+    facetKeys.forEach(key => {
+      const selection = filters[key];
+      if (!selection || selection.values.length === 0) return;
+      selection.values.forEach(value => params.append(key, value));
+      if (selection.exclude) excluded.push(key);
+    });
+    if (excluded.length > 0) {
+      params.set('exclude', excluded.join(','));
+    }
+    if (state.mode) {
+      params.set('mode', state.mode);
+    }
+    params.set('color', state.color || 'none');
+    if (state.view) {
+      params.set('zoom', state.view.k.toFixed(2));
+      params.set('center', `${state.view.lat.toFixed(3)},${state.view.lng.toFixed(3)}`);
+    }
+    if (state.pin) {
+      params.set('pin', state.pin);
+    }
+    
+    const text = params.toString();
+    return text ? `#${text}` : '';
+  }
+  
+  /**
+   * Record a view change as a history entry, once the view settles
+   * Rapid changes such as typing or dragging are collapsed into one entry.
+   * @param {Function} getState - Returns the current state when the entry is written, or null for the default view
+   * @param {Object} [options] - {replace: update the current entry instead, for changes the user didn't make,
+   *   such as the first render or a data refresh}
+   */
+  function push(getState, options = {}) {
+    // A change the user made in the same burst still gets its own entry
+    writeReplaces = (writeTimer === null || writeReplaces) && Boolean(options.replace);
+    clearTimeout(writeTimer);
+    writeTimer = setTimeout(() => {
+      writeTimer = null;
+      const hash = serialize(getState(), window.location.hash);
+      if (hash === window.location.hash || (!hash && !window.location.hash)) return;
+      
+      const url = `${window.location.pathname}${window.location.search}${hash}`;
+      if (writeReplaces) {
+        history.replaceState(history.state, '', url);
+      } else {
+        history.pushState(history.state, '', url);
+      }
+    }, WRITE_DELAY);
+  }
+  
+  /**
+   * Drop a pending history entry, e.g. while a view is being restored
+   */
+  function cancel() {
+    clearTimeout(writeTimer);
+    writeTimer = null;
+  }
+  
+  /**
+   * Restore views when the user steps through history
+   * @param {Function} callback - Called with the parsed state (null for the default view)
+   */
+  function onNavigate(callback) {
+    window.addEventListener('popstate', () => {
+      cancel();
+      callback(parse(window.location.hash));
+    });
+  }
+  
+  // Public API
+  return {
+    parse,
+    serialize,
+    setFacetKeys,
+    push,
+    cancel,
+    onNavigate
+  };
+})();
+
+// Export for use in other scripts
+if (typeof window !== 'undefined') {
+  window.BambooViewState = BambooViewState;
+}